@@ -0,0 +1,113 @@
+// 答题记录：每完成一轮练习或考试保存一条记录，按 stageId 分组，每组最多保留 MAX_ATTEMPTS 条
+// 记录：{ title, mode, startedAt, finishedAt, duration, total, correctCount, totalScore, accuracy, outcomes }
+// outcomes 按作答顺序记录每道题的结果：{ key: "stageId:题目id", status: correct|partial|incorrect|unanswered }
+const AttemptHistory = {
+    STORAGE_KEY: 'react19_attempt_history',
+    MAX_ATTEMPTS: 50,
+
+    getAll() {
+        return QuizStorage.get(this.STORAGE_KEY, {});
+    },
+
+    // 按完成时间从早到晚排列
+    get(stageId) {
+        return this.getAll()[stageId] || [];
+    },
+
+    record(stageId, attempt) {
+        const history = this.getAll();
+        history[stageId] = [...(history[stageId] || []), attempt].slice(-this.MAX_ATTEMPTS);
+        QuizStorage.set(this.STORAGE_KEY, history);
+        return attempt;
+    },
+
+    // 在引擎的 complete 事件中调用，此时所有题目的结果都已公布
+    fromEngine(engine, now = Date.now()) {
+        const summary = engine.getSummary();
+        return {
+            mode: engine.mode,
+            startedAt: engine.startedAt ? new Date(engine.startedAt).toISOString() : null,
+            finishedAt: new Date(now).toISOString(),
+            duration: engine.getElapsedSeconds(now),
+            total: summary.total,
+            correctCount: summary.correctCount,
+            totalScore: summary.totalScore,
+            accuracy: summary.accuracy,
+            outcomes: engine.questions.map((question, index) => ({
+                key: engine.getQuestionKey(question),
+                status: engine.getQuestionStatus(index)
+            }))
+        };
+    },
+
+    // 只比较两次都出现的题目：fixed 为之前没答对、之后答对的题，regressed 相反
+    compare(before, after) {
+        const previous = new Map(before.outcomes.map(outcome => [outcome.key, outcome.status]));
+        const result = { common: 0, fixed: [], regressed: [] };
+        after.outcomes.forEach(({ key, status }) => {
+            if (!previous.has(key)) return;
+            result.common++;
+            const wasCorrect = previous.get(key) === 'correct';
+            if (!wasCorrect && status === 'correct') {
+                result.fixed.push(key);
+            } else if (wasCorrect && status !== 'correct') {
+                result.regressed.push(key);
+            }
+        });
+        return result;
+    },
+
+    // 本地时间，例如 "3/10 09:05"
+    formatTime(isoString) {
+        const date = new Date(isoString);
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getMonth() + 1}/${date.getDate()} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    },
+
+    formatDuration(seconds) {
+        if (seconds === null || seconds === undefined) return '—';
+        if (seconds < 60) return `${seconds} 秒`;
+        return `${Math.floor(seconds / 60)} 分 ${seconds % 60} 秒`;
+    },
+
+    // 正确率走势图：横轴按作答先后等距排列，纵轴为 0-100%，返回内联 SVG 字符串
+    renderChart(attempts, { width = 640, height = 220 } = {}) {
+        if (attempts.length === 0) return '';
+
+        const padding = { top: 16, right: 24, bottom: 32, left: 48 };
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+        const round = value => Math.round(value * 10) / 10;
+        const x = index => round(padding.left + (attempts.length === 1 ? plotWidth / 2 : plotWidth * index / (attempts.length - 1)));
+        const y = accuracy => round(padding.top + plotHeight * (1 - accuracy / 100));
+
+        const grid = [0, 25, 50, 75, 100].map(value => `
+            <line class="chart-grid" x1="${padding.left}" x2="${width - padding.right}" y1="${y(value)}" y2="${y(value)}"></line>
+            <text class="chart-label" x="${padding.left - 8}" y="${y(value) + 4}" text-anchor="end">${value}%</text>
+        `).join('');
+        const points = attempts.map((attempt, index) => `${x(index)},${y(attempt.accuracy)}`).join(' ');
+        const dots = attempts.map((attempt, index) => `
+            <circle class="chart-point" cx="${x(index)}" cy="${y(attempt.accuracy)}" r="4">
+                <title>第 ${index + 1} 次 · ${this.formatTime(attempt.finishedAt)} · ${attempt.accuracy}%</title>
+            </circle>
+        `).join('');
+        // 横轴只标出第一次和最近一次的时间，记录多时避免文字重叠
+        const last = attempts.length - 1;
+        const dates = (last === 0 ? [[0, 'middle']] : [[0, 'start'], [last, 'end']]).map(([index, anchor]) => `
+            <text class="chart-label" x="${x(index)}" y="${height - 8}" text-anchor="${anchor}">${this.formatTime(attempts[index].finishedAt)}</text>
+        `).join('');
+
+        return `
+            <svg class="attempt-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="正确率走势">
+                ${grid}
+                <polyline class="chart-line" points="${points}"></polyline>
+                ${dots}
+                ${dates}
+            </svg>
+        `;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AttemptHistory;
+}
@@ -0,0 +1,109 @@
+// 题库加载：题库以 JSON 文件保存在 data/banks/ 下，文件名由 StageRegistry 中的 bank 字段指定，按需读取并缓存
+// 文件缺失、内容损坏或格式版本不符时返回可以直接展示给用户的错误信息
+const BankLoader = {
+    // 相对当前页面的题库目录；pages/ 下的页面使用默认值，首页改为 'data/banks/'
+    BASE_URL: '../data/banks/',
+    // 题库文件的格式版本，结构有不兼容的改动时递增
+    FORMAT_VERSION: 1,
+    cache: {},
+
+    getUrl(stage) {
+        return `${this.BASE_URL}${stage.bank}`;
+    },
+
+    // 返回 Promise<{ stageId, name, sections, questions }>，name 为注册表中的阶段名称
+    load(stageId) {
+        if (!StageRegistry.get(stageId)) {
+            return Promise.reject(new Error(`没有找到阶段「${stageId}」的题库`));
+        }
+        if (!this.cache[stageId]) {
+            // 失败的结果不缓存，刷新或重试时重新读取
+            this.cache[stageId] = this.fetchBank(stageId).catch(error => {
+                delete this.cache[stageId];
+                throw error;
+            });
+        }
+        return this.cache[stageId];
+    },
+
+    fetchBank(stageId) {
+        const stage = StageRegistry.get(stageId);
+        const file = stage.bank;
+        return fetch(this.getUrl(stage))
+            .catch(() => {
+                throw new Error(this.getNetworkHint(file));
+            })
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`题库文件 ${file} 不存在或无法读取（HTTP ${response.status}）`);
+                }
+                return response.text();
+            })
+            .then(text => {
+                let data;
+                try {
+                    data = JSON.parse(text);
+                } catch (error) {
+                    throw new Error(`题库文件 ${file} 已损坏，不是有效的 JSON`);
+                }
+                return this.parse(data, stage);
+            });
+    },
+
+    parse(data, stage) {
+        const file = stage.bank;
+        if (!data || data.formatVersion !== this.FORMAT_VERSION) {
+            throw new Error(`题库文件 ${file} 的格式版本（${data && data.formatVersion}）与当前页面（${this.FORMAT_VERSION}）不兼容`);
+        }
+        if (data.stageId !== stage.id || !Array.isArray(data.questions) || !Array.isArray(data.sections)) {
+            throw new Error(`题库文件 ${file} 缺少必要的字段`);
+        }
+        return {
+            stageId: stage.id,
+            name: StageRegistry.getLabel(stage),
+            sections: data.sections,
+            questions: data.questions
+        };
+    },
+
+    // 加载全部题库，单个题库失败不影响其他题库：返回 Promise<{ banks, errors }>
+    loadAll() {
+        return Promise.all(StageRegistry.getIds().map(stageId => this.load(stageId).then(
+            bank => ({ bank }),
+            error => ({ error })
+        ))).then(results => ({
+            banks: results.filter(result => result.bank).map(result => result.bank),
+            errors: results.filter(result => result.error).map(result => result.error.message)
+        }));
+    },
+
+    // 直接双击打开 HTML 时浏览器会拦截对本地文件的请求
+    getNetworkHint(file) {
+        if (window.location.protocol === 'file:') {
+            return `浏览器不允许直接读取本地文件 ${file}，请在问答网页目录运行 npm start 后通过 http://localhost:8080 访问`;
+        }
+        return `题库文件 ${file} 加载失败，请检查网络后刷新页面`;
+    }
+};
+
+// 题库无法加载时的错误页，messages 为错误信息列表
+function renderBankError(container, messages) {
+    const escape = text => {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    };
+    container.innerHTML = `
+        <div class="completion-card">
+            <div class="completion-icon">⚠️</div>
+            <h2 class="completion-title">题库加载失败</h2>
+            <ul class="load-errors">
+                ${messages.map(message => `<li>${escape(message)}</li>`).join('')}
+            </ul>
+            <div class="completion-buttons">
+                <a href="../index.html" class="completion-button primary-button">返回首页</a>
+                <button class="completion-button secondary-button" onclick="location.reload()">重新加载</button>
+            </div>
+        </div>
+    `;
+}
@@ -0,0 +1,190 @@
+// 教程章节索引：把题目关联到项目根目录下 PartN-* 目录中的 markdown 教程
+// 题目可以用 refs 字段直接指定章节；没有指定时按标签从 TAG_CHAPTERS 中查找
+// 路径相对项目根目录，可以带 #标题 锚点；scripts/validate-banks.js 会检查文件是否存在
+const ChapterIndex = {
+    // 从 pages/ 下的页面到项目根目录，用于读取 markdown 原文
+    BASE_URL: '../../',
+    // 章节链接打开 pages/ 下的阅读页
+    READER_URL: 'reader.html',
+    // 解析中最多展示的章节数
+    MAX_REFS: 3,
+
+    TAG_CHAPTERS: {
+        // Part 1: React 核心基础
+        'JSX': ['Part1-React核心基础/05-JSX语法规则.md', 'Part1-React核心基础/06-JSX表达式与嵌入.md'],
+        'Babel': ['Part1-React核心基础/07-JSX与虚拟DOM关系.md'],
+        'Fragment': ['Part1-React核心基础/05-JSX语法规则.md'],
+        '函数组件': ['Part1-React核心基础/08-函数组件与类组件.md'],
+        '类组件': ['Part1-React核心基础/08-函数组件与类组件.md'],
+        'Props': ['Part1-React核心基础/11-Props基本用法.md'],
+        'PropTypes': ['Part1-React核心基础/12-Props类型检查(PropTypes).md'],
+        'defaultProps': ['Part1-React核心基础/13-Props默认值.md'],
+        'children': ['Part1-React核心基础/14-Children-Props.md'],
+        'State': ['Part1-React核心基础/15-State概念与使用.md', 'Part1-React核心基础/16-State更新规则.md'],
+        '不可变性': ['Part1-React核心基础/17-State的不可变性.md'],
+        '事件处理': ['Part1-React核心基础/18-事件绑定基础.md', 'Part1-React核心基础/19-事件对象与参数传递.md'],
+        '合成事件': ['Part1-React核心基础/20-合成事件系统.md', 'Part17-面试突破/05-合成事件系统原理.md'],
+        '事件委托': ['Part17-面试突破/06-事件委托机制.md'],
+        '条件渲染': ['Part1-React核心基础/21-if-else条件渲染.md', 'Part1-React核心基础/22-三元运算符渲染.md'],
+        '三元运算符': ['Part1-React核心基础/22-三元运算符渲染.md'],
+        '逻辑运算符': ['Part1-React核心基础/23-逻辑与运算符渲染.md'],
+        '列表渲染': ['Part1-React核心基础/24-map方法渲染列表.md'],
+        'key': ['Part1-React核心基础/25-Key的作用与优化.md'],
+        '受控组件': ['Part1-React核心基础/27-受控组件详解.md'],
+        '非受控组件': ['Part1-React核心基础/28-非受控组件详解.md'],
+
+        // Part 2: Hooks 深入掌握
+        'Hooks规则': ['Part2-Hooks深入掌握/01-Hooks概述与规则.md'],
+        '调用顺序': ['Part2-Hooks深入掌握/25-Hooks调用顺序原理.md'],
+        'useState': ['Part2-Hooks深入掌握/02-useState基础与进阶.md'],
+        '函数式更新': ['Part2-Hooks深入掌握/02-useState基础与进阶.md'],
+        '惰性初始化': ['Part2-Hooks深入掌握/02-useState基础与进阶.md'],
+        'useEffect': ['Part2-Hooks深入掌握/03-useEffect副作用管理.md'],
+        '清理函数': ['Part2-Hooks深入掌握/03-useEffect副作用管理.md'],
+        '依赖数组': ['Part2-Hooks深入掌握/03-useEffect副作用管理.md'],
+        'useContext': ['Part2-Hooks深入掌握/04-useContext全局状态.md'],
+        'useMemo': ['Part2-Hooks深入掌握/05-useMemo计算缓存.md', 'Part4-并发特性与性能优化/19-useMemo使用场景.md'],
+        'useCallback': ['Part2-Hooks深入掌握/06-useCallback函数缓存.md', 'Part4-并发特性与性能优化/20-useCallback使用场景.md'],
+        'React.memo': ['Part2-Hooks深入掌握/07-React.memo组件缓存.md', 'Part4-并发特性与性能优化/18-React.memo深入.md'],
+        'useRef': ['Part2-Hooks深入掌握/09-useRef-DOM引用.md', 'Part2-Hooks深入掌握/10-useRef保存可变值.md'],
+        'forwardRef': ['Part2-Hooks深入掌握/11-forwardRef与useImperativeHandle.md'],
+        'useImperativeHandle': ['Part2-Hooks深入掌握/11-forwardRef与useImperativeHandle.md'],
+        'useReducer': ['Part2-Hooks深入掌握/12-useReducer状态管理.md', 'Part2-Hooks深入掌握/13-useReducer与useState对比.md'],
+        'useLayoutEffect': ['Part2-Hooks深入掌握/16-useLayoutEffect同步更新.md'],
+        'useDebugValue': ['Part2-Hooks深入掌握/17-useDebugValue自定义调试.md'],
+        '自定义Hooks': ['Part2-Hooks深入掌握/20-自定义Hooks基础.md', 'Part2-Hooks深入掌握/22-自定义Hooks最佳实践.md'],
+        '闭包陷阱': ['Part2-Hooks深入掌握/26-闭包陷阱与解决.md'],
+        '过期闭包': ['Part2-Hooks深入掌握/26-闭包陷阱与解决.md'],
+
+        // Part 3: React 19 核心新特性
+        'use Hook': ['Part3-React19核心新特性/01-use()Hook概述.md', 'Part3-React19核心新特性/02-use()读取Promise数据.md'],
+        'Server Components': ['Part3-React19核心新特性/07-Server-Components概念.md', 'Part3-React19核心新特性/08-Server-vs-Client-Components对比.md'],
+        'RSC': ['Part3-React19核心新特性/07-Server-Components概念.md', 'Part17-面试突破/13-Server-Components原理.md'],
+        'Client Components': ['Part3-React19核心新特性/08-Server-vs-Client-Components对比.md'],
+        'use client': ['Part3-React19核心新特性/10-Server-Components与Client-Components交互.md'],
+        'use server': ['Part3-React19核心新特性/11-use-server指令详解.md'],
+        'Server Actions': ['Part3-React19核心新特性/17-Server-Actions实现.md', 'Part3-React19核心新特性/14-Form-Actions概述.md'],
+        'useFormState': ['Part3-React19核心新特性/15-useActionState详解.md'],
+        'useFormStatus': ['Part3-React19核心新特性/16-useFormStatus表单状态.md'],
+        '渐进增强': ['Part3-React19核心新特性/19-渐进增强(Progressive-Enhancement).md'],
+        'useOptimistic': ['Part3-React19核心新特性/21-useOptimistic乐观更新.md'],
+        '乐观更新': ['Part3-React19核心新特性/21-useOptimistic乐观更新.md', 'Part3-React19核心新特性/23-乐观更新错误回滚.md'],
+        '文档元数据': ['Part3-React19核心新特性/25-Document-Metadata-API概述.md'],
+        '元数据': ['Part3-React19核心新特性/25-Document-Metadata-API概述.md'],
+        '样式表': ['Part3-React19核心新特性/27-link和style标签优化.md'],
+        'preload': ['Part3-React19核心新特性/37-preload预加载API.md'],
+        'hydration': ['Part3-React19核心新特性/47-Hydration错误提示改进.md'],
+        '迁移': ['Part3-React19核心新特性/49-从React-18迁移到React-19.md'],
+        '废弃API': ['Part3-React19核心新特性/50-Breaking-Changes破坏性变更清单.md'],
+
+        // Part 4: 并发特性与性能优化
+        'Fiber': ['Part4-并发特性与性能优化/01-Fiber架构原理.md', 'Part17-面试突破/03-Fiber架构深度解析.md'],
+        '时间切片': ['Part4-并发特性与性能优化/02-时间切片(Time-Slicing).md'],
+        '调度': ['Part4-并发特性与性能优化/03-优先级调度(Scheduler).md'],
+        '并发渲染': ['Part4-并发特性与性能优化/05-并发模式概述.md'],
+        '可中断渲染': ['Part4-并发特性与性能优化/02-时间切片(Time-Slicing).md'],
+        'useTransition': ['Part4-并发特性与性能优化/06-useTransition过渡更新.md'],
+        'startTransition': ['Part4-并发特性与性能优化/06-useTransition过渡更新.md'],
+        'isPending': ['Part4-并发特性与性能优化/06-useTransition过渡更新.md'],
+        'useDeferredValue': ['Part4-并发特性与性能优化/07-useDeferredValue延迟值.md', 'Part3-React19核心新特性/31-useDeferredValue改进.md'],
+        'Suspense': ['Part4-并发特性与性能优化/08-Suspense基础.md', 'Part4-并发特性与性能优化/11-嵌套Suspense.md'],
+        'React.lazy': ['Part4-并发特性与性能优化/10-Suspense与lazy懒加载.md'],
+        '代码分割': ['Part4-并发特性与性能优化/23-代码分割(lazy-import).md'],
+        'Error Boundary': ['Part4-并发特性与性能优化/13-错误边界基础.md', 'Part4-并发特性与性能优化/16-错误边界最佳实践.md'],
+        '虚拟滚动': ['Part4-并发特性与性能优化/21-虚拟列表(react-window-react-virtualized).md'],
+        'react-window': ['Part4-并发特性与性能优化/21-虚拟列表(react-window-react-virtualized).md'],
+        'Profiler': ['Part4-并发特性与性能优化/26-React-DevTools-Profiler.md'],
+        'React DevTools': ['Part4-并发特性与性能优化/26-React-DevTools-Profiler.md'],
+        'Lighthouse': ['Part4-并发特性与性能优化/28-Lighthouse性能评分.md'],
+        'Web Vitals': ['Part4-并发特性与性能优化/29-Web-Vitals核心指标(LCP-FID-CLS).md'],
+        'Core Web Vitals': ['Part4-并发特性与性能优化/29-Web-Vitals核心指标(LCP-FID-CLS).md'],
+        'Performance API': ['Part4-并发特性与性能优化/30-自定义性能监控.md'],
+        '内存泄漏': ['Part4-并发特性与性能优化/31-内存泄漏识别.md', 'Part4-并发特性与性能优化/32-内存泄漏预防.md'],
+
+        // Part 14: 安全与 SEO
+        'XSS': ['Part14-安全与SEO/01-XSS跨站脚本攻击防护.md'],
+        'dangerouslySetInnerHTML': ['Part14-安全与SEO/01-XSS跨站脚本攻击防护.md'],
+        'DOMPurify': ['Part14-安全与SEO/01-XSS跨站脚本攻击防护.md'],
+        'CSRF': ['Part14-安全与SEO/02-CSRF跨站请求伪造防护.md'],
+        'SameSite': ['Part14-安全与SEO/02-CSRF跨站请求伪造防护.md'],
+        'CSP': ['Part14-安全与SEO/03-内容安全策略(CSP).md'],
+        'HTTPS': ['Part14-安全与SEO/04-HTTPS与SSL证书.md'],
+        'JWT': ['Part14-安全与SEO/05-JWT认证原理.md'],
+        'SEO': ['Part14-安全与SEO/09-SEO基础知识.md'],
+        'meta标签': ['Part14-安全与SEO/10-Meta标签优化.md'],
+        'Open Graph': ['Part14-安全与SEO/11-OpenGraph与Twitter-Cards.md'],
+        '结构化数据': ['Part14-安全与SEO/12-结构化数据(Schema.org).md'],
+        'Schema.org': ['Part14-安全与SEO/12-结构化数据(Schema.org).md'],
+        'JSON-LD': ['Part14-安全与SEO/12-结构化数据(Schema.org).md'],
+        'sitemap': ['Part14-安全与SEO/13-Sitemap生成.md'],
+        'robots.txt': ['Part14-安全与SEO/14-Robots.txt配置.md'],
+        'SSR': ['Part14-安全与SEO/15-SSR与SEO.md', 'Part4-并发特性与性能优化/12-Suspense-SSR流式渲染.md'],
+
+        // Part 17: 面试突破
+        '虚拟DOM': ['Part17-面试突破/01-Virtual-DOM与Diff算法.md'],
+        'diff算法': ['Part17-面试突破/01-Virtual-DOM与Diff算法.md'],
+        'Redux': ['Part17-面试突破/19-Redux原理与中间件.md', 'Part17-面试突破/20-Context与Redux对比.md'],
+        '状态管理': ['Part17-面试突破/21-状态管理方案选型.md'],
+        '系统设计': ['Part17-面试突破/23-系统设计题(Todo-聊天-后台).md'],
+        '面试技巧': ['Part17-面试突破/22-高频场景题汇总.md']
+    },
+
+    // 题目的延伸阅读：refs 优先，其次按标签查找；folder 为题目所属阶段的教程目录，同目录的章节排在前面
+    getRefs(question, folder) {
+        const fromTags = [];
+        (question.tags || []).forEach(tag => {
+            fromTags.push(...(this.TAG_CHAPTERS[tag] || []));
+        });
+        if (folder) {
+            // sort 是稳定排序，同一组内保持标签的先后顺序
+            fromTags.sort((a, b) => Number(!a.startsWith(folder + '/')) - Number(!b.startsWith(folder + '/')));
+        }
+        return [...new Set([...(question.refs || []), ...fromTags])].slice(0, this.MAX_REFS);
+    },
+
+    // "Part2-Hooks深入掌握/02-useState基础与进阶.md#惰性初始化" -> { file, anchor }
+    parseRef(ref) {
+        const [file, anchor = ''] = ref.split('#');
+        return { file, anchor };
+    },
+
+    // 链接文字：Part 2 · useState基础与进阶
+    getTitle(ref) {
+        const { file, anchor } = this.parseRef(ref);
+        const [folder, name] = file.split('/');
+        const part = folder.replace(/^Part(\d+)-.*$/, 'Part $1');
+        const chapter = name.replace(/\.md$/, '').replace(/^\d+-/, '');
+        return `${part} · ${chapter}${anchor ? ` › ${anchor}` : ''}`;
+    },
+
+    // 阅读页中的章节地址
+    getUrl(ref) {
+        const { file, anchor } = this.parseRef(ref);
+        return `${this.READER_URL}?file=${encodeURIComponent(file)}${anchor ? '#' + encodeURIComponent(anchor) : ''}`;
+    },
+
+    // 教程目录中文件的原始地址
+    getFileUrl(file) {
+        return this.BASE_URL + file.split('/').map(encodeURIComponent).join('/');
+    },
+
+    // 与章节相关的题目（带 stageId）：refs 引用了该章节，或者有标签映射到该章节
+    findQuestions(file, banks) {
+        const tags = Object.keys(this.TAG_CHAPTERS)
+            .filter(tag => this.TAG_CHAPTERS[tag].some(ref => this.parseRef(ref).file === file));
+        const questions = [];
+        banks.forEach(bank => {
+            bank.questions.forEach(question => {
+                const referenced = (question.refs || []).some(ref => this.parseRef(ref).file === file);
+                if (referenced || question.tags.some(tag => tags.includes(tag))) {
+                    questions.push({ ...question, stageId: bank.stageId });
+                }
+            });
+        });
+        return questions;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChapterIndex;
+}
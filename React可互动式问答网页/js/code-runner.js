@@ -0,0 +1,47 @@
+// 代码运行器：在隔离的 iframe（sandbox.html）中执行题目代码，返回控制台输出和渲染结果
+// iframe 只开启 allow-scripts，代码无法访问答题页面的 DOM 和本地存储；每次运行都新建 iframe
+const CodeRunner = {
+    SANDBOX_URL: 'sandbox.html',
+    // 超过该时间仍未返回（例如死循环或脚本加载失败）时放弃本次运行
+    TIMEOUT_MS: 5000,
+    nextRunId: 1,
+
+    // 返回 Promise<{ logs: string[], rendered: string, errors: string[] }>
+    run(code) {
+        const runId = this.nextRunId++;
+        const iframe = document.createElement('iframe');
+        iframe.setAttribute('sandbox', 'allow-scripts');
+        iframe.className = 'code-sandbox';
+        iframe.hidden = true;
+        iframe.src = this.SANDBOX_URL;
+
+        return new Promise(resolve => {
+            const finish = result => {
+                clearTimeout(timeoutId);
+                window.removeEventListener('message', handleMessage);
+                iframe.remove();
+                resolve(result);
+            };
+            const timeoutId = setTimeout(() => {
+                finish({ logs: [], rendered: '', errors: ['运行超时，代码可能陷入了死循环或沙箱加载失败'] });
+            }, this.TIMEOUT_MS);
+
+            // 沙箱的源是不透明的（null），只能通过消息来源窗口确认身份
+            const handleMessage = event => {
+                if (event.source !== iframe.contentWindow || !event.data) return;
+                if (event.data.ready) {
+                    iframe.contentWindow.postMessage({ runId, code }, '*');
+                } else if (event.data.runId === runId) {
+                    finish({
+                        logs: event.data.logs || [],
+                        rendered: event.data.rendered || '',
+                        errors: event.data.errors || []
+                    });
+                }
+            };
+
+            window.addEventListener('message', handleMessage);
+            document.body.appendChild(iframe);
+        });
+    }
+};
@@ -0,0 +1,103 @@
+// 首页：按 StageRegistry 生成阶段卡片，读取 LearningProgress 渲染进度并汇总整体情况
+function formatDate(isoString) {
+    return new Date(isoString).toLocaleDateString('zh-CN');
+}
+
+function renderStageCards(grid) {
+    grid.innerHTML = StageRegistry.getAll().map(stage => `
+        <a href="pages/quiz.html?stage=${encodeURIComponent(stage.id)}" class="stage-card" data-stage="${stage.id}">
+            <span class="stage-number">Part ${stage.number}</span>
+            <span class="stage-badges"></span>
+            <h2 class="stage-title">${stage.title}</h2>
+            <p class="stage-description">${stage.description}</p>
+            <div class="stage-progress"></div>
+            <div class="stage-info">
+                <span class="question-count">📝 统计题目中…</span>
+                <span class="start-button">开始答题 →</span>
+            </div>
+        </a>
+    `).join('');
+}
+
+// 题目数量以题库文件为准，加载失败的阶段在卡片上提示
+function renderQuestionCounts(grid) {
+    return BankLoader.loadAll().then(({ banks }) => {
+        grid.querySelectorAll('.stage-card[data-stage]').forEach(card => {
+            const bank = banks.find(item => item.stageId === card.dataset.stage);
+            card.querySelector('.question-count').textContent = bank
+                ? `📝 ${bank.questions.length} 道题目`
+                : '⚠️ 题库加载失败';
+        });
+    });
+}
+
+function renderStageProgress(card, record) {
+    const progressArea = card.querySelector('.stage-progress');
+
+    if (!record) {
+        progressArea.innerHTML = '<div class="progress-meta"><span>尚未开始</span></div>';
+        return;
+    }
+
+    const percent = record.total > 0 ? Math.round((record.completed / record.total) * 100) : 0;
+    const bestAccuracy = record.bestAccuracy !== undefined ? record.bestAccuracy + '%' : '—';
+
+    progressArea.innerHTML = `
+        <div class="progress-bar">
+            <div class="progress-fill" style="width: ${percent}%"></div>
+        </div>
+        <div class="progress-meta">
+            <span>已答 ${record.completed}/${record.total}</span>
+            <span>最佳正确率 ${bestAccuracy}</span>
+            <span>最近 ${formatDate(record.lastAccessed)}</span>
+        </div>
+    `;
+
+    if (record.completions > 0) {
+        card.querySelector('.stage-badges').innerHTML = `<span class="completion-badge">✅ 已完成 ${record.completions} 次</span>`;
+    }
+}
+
+function renderProgressSummary(records, stageCount) {
+    const summary = document.getElementById('progress-summary');
+    const completedStages = records.filter(record => record.completions > 0);
+    const answeredCount = records.reduce((sum, record) => sum + record.completed, 0);
+    const averageBest = completedStages.length > 0
+        ? Math.round(completedStages.reduce((sum, record) => sum + record.bestAccuracy, 0) / completedStages.length)
+        : 0;
+
+    summary.innerHTML = `
+        <div class="summary-item">
+            <div class="summary-value">${completedStages.length}/${stageCount}</div>
+            <div class="summary-label">已完成阶段</div>
+        </div>
+        <div class="summary-item">
+            <div class="summary-value">${answeredCount}</div>
+            <div class="summary-label">当前进度累计答题</div>
+        </div>
+        <div class="summary-item">
+            <div class="summary-value">${completedStages.length > 0 ? averageBest + '%' : '—'}</div>
+            <div class="summary-label">平均最佳正确率</div>
+        </div>
+    `;
+}
+
+function initDashboard() {
+    const grid = document.getElementById('stages-grid');
+    renderStageCards(grid);
+
+    const progress = LearningProgress.getAll();
+    const cards = grid.querySelectorAll('.stage-card[data-stage]');
+    const records = [];
+
+    cards.forEach(card => {
+        const record = progress[card.dataset.stage];
+        renderStageProgress(card, record);
+        if (record) {
+            records.push(record);
+        }
+    });
+
+    renderProgressSummary(records, cards.length);
+    return renderQuestionCounts(grid);
+}
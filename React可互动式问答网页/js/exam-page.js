@@ -0,0 +1,107 @@
+// 模拟考试页面：选择阶段、题量和时限后，随机抽题进入考试模式
+const EXAM_SETUP_KEY = 'react19_exam_setup';
+const EXAM_SESSION_KEY = 'react19_quiz_session_exam';
+
+function pickRandomQuestions(questions, count, seed) {
+    return QuizShuffle.shuffle(questions, QuizShuffle.createRandom(seed)).slice(0, count);
+}
+
+function getExamPool(stageId) {
+    const banks = stageId === 'all' ? QUESTION_BANKS : [findBank(stageId)];
+    return banks.flatMap(bank => bank.questions.map(question => ({ ...question, stageId: bank.stageId })));
+}
+
+function renderExamSetup() {
+    const container = document.getElementById('question-container');
+
+    container.innerHTML = `
+        <div class="completion-card exam-setup">
+            <div class="completion-icon">⏱️</div>
+            <h2 class="completion-title">模拟考试</h2>
+            <p class="empty-text">考试过程中不显示对错和解析，交卷或时间用完后统一查看答题报告。</p>
+
+            <form class="exam-form" id="exam-form">
+                <label class="form-field">
+                    <span>考试范围</span>
+                    <select name="stage">
+                        <option value="all">全部阶段混合</option>
+                        ${QUESTION_BANKS.map(bank => `<option value="${bank.stageId}">${bank.name}</option>`).join('')}
+                    </select>
+                </label>
+                <label class="form-field">
+                    <span>题目数量</span>
+                    <select name="count">
+                        ${[10, 20, 30, 50].map(n => `<option value="${n}" ${n === 20 ? 'selected' : ''}>${n} 题</option>`).join('')}
+                    </select>
+                </label>
+                <label class="form-field">
+                    <span>考试时长</span>
+                    <select name="minutes">
+                        ${[5, 10, 20, 30, 60].map(n => `<option value="${n}" ${n === 20 ? 'selected' : ''}>${n} 分钟</option>`).join('')}
+                    </select>
+                </label>
+                <label class="form-field">
+                    <span>多选题计分</span>
+                    <select name="scoring">
+                        ${Object.entries(MULTIPLE_SCORING_POLICIES).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                    </select>
+                </label>
+
+                <div class="completion-buttons">
+                    <button type="submit" class="completion-button primary-button">开始考试 →</button>
+                </div>
+            </form>
+        </div>
+    `;
+
+    document.getElementById('exam-form').addEventListener('submit', event => {
+        event.preventDefault();
+        const form = new FormData(event.target);
+        const stageId = form.get('stage');
+        const bank = findBank(stageId);
+        const seed = QuizShuffle.randomSeed();
+        const questions = pickRandomQuestions(getExamPool(stageId), parseInt(form.get('count')), seed);
+
+        const setup = {
+            title: `模拟考试 · ${bank ? bank.name : '全部阶段'}`,
+            timeLimit: parseInt(form.get('minutes')) * 60,
+            multipleScoring: form.get('scoring'),
+            seed,
+            questionKeys: questions.map(q => `${q.stageId}:${q.id}`)
+        };
+        QuizStorage.set(EXAM_SETUP_KEY, setup);
+        startExam(setup);
+    });
+}
+
+function startExam(setup) {
+    const questions = setup.questionKeys
+        .map(key => {
+            const [stageId, questionId] = key.split(':');
+            return findQuestion(stageId, parseInt(questionId));
+        })
+        .filter(Boolean);
+
+    document.querySelector('.quiz-title').textContent = setup.title;
+    document.getElementById('quiz-stats').hidden = false;
+    initQuiz(questions, setup.title, {
+        stageId: 'exam',
+        trackProgress: false,
+        sections: getSectionsByStage(),
+        mode: 'exam',
+        timeLimit: setup.timeLimit,
+        multipleScoring: setup.multipleScoring,
+        // 抽题时已经打乱了题目顺序，这里只打乱选项
+        shuffle: { seed: setup.seed, questions: false, options: true }
+    });
+}
+
+// 有未交卷的考试时按原题目重建考试，由 QuizSystem 提示继续或重新开始
+function initExamPage() {
+    const setup = QuizStorage.get(EXAM_SETUP_KEY);
+    if (setup && QuizStorage.get(EXAM_SESSION_KEY)) {
+        startExam(setup);
+    } else {
+        renderExamSetup();
+    }
+}
@@ -0,0 +1,221 @@
+// 答题记录页面：history.html?stage=part2 查看某个阶段每次完成的成绩和正确率走势，并比较任意两次作答
+// 模拟考试、错题本、标签练习等自定义组合的记录按各自的 stageId 单独列出
+// 标签练习和章节测验按具体的标签组合或章节分开记录：tags:Hooks+useState、chapter:Part1-.../05-JSX语法规则.md
+const CUSTOM_STAGE_LABELS = {
+    exam: '模拟考试',
+    interview: '模拟面试',
+    review: '今日复习',
+    'wrong-book': '错题本',
+    tags: '标签练习',
+    chapter: '章节测验'
+};
+const ATTEMPT_MODE_LABELS = { practice: '练习', exam: '考试' };
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+function getHistoryStageLabel(stageId) {
+    const stage = StageRegistry.get(stageId);
+    if (stage) return StageRegistry.getLabel(stage);
+
+    const separator = stageId.indexOf(':');
+    if (separator < 0) return CUSTOM_STAGE_LABELS[stageId] || stageId;
+    const kind = stageId.slice(0, separator);
+    const detail = stageId.slice(separator + 1);
+    if (kind === 'tags') {
+        const [tags, matchMode] = detail.split(':');
+        return `标签练习 · ${tags.split('+').join('、')}${matchMode === 'all' ? '（全部包含）' : ''}`;
+    }
+    if (kind === 'chapter') {
+        return `章节测验 · ${ChapterIndex.getTitle(detail)}`;
+    }
+    return stageId;
+}
+
+// 先按注册表顺序列出各阶段，再列出有记录的自定义组合
+function getHistoryStageIds(history) {
+    const custom = Object.keys(history).filter(stageId => !StageRegistry.get(stageId));
+    return [...StageRegistry.getIds(), ...custom];
+}
+
+function getStageFromUrl(history) {
+    const stageId = new URLSearchParams(window.location.search).get('stage');
+    if (stageId) return stageId;
+    const stageIds = getHistoryStageIds(history);
+    return stageIds.find(id => history[id] && history[id].length > 0) || stageIds[0];
+}
+
+function renderStageTabs(history, currentStageId) {
+    const stageIds = getHistoryStageIds(history);
+    if (!stageIds.includes(currentStageId)) {
+        stageIds.push(currentStageId);
+    }
+    return `
+        <nav class="tag-cloud history-tabs">
+            ${stageIds.map(stageId => `
+                <a href="?stage=${encodeURIComponent(stageId)}" class="tag-chip ${stageId === currentStageId ? 'selected' : ''}">
+                    ${escapeHtml(getHistoryStageLabel(stageId))} <span class="tag-count">${(history[stageId] || []).length}</span>
+                </a>
+            `).join('')}
+        </nav>
+    `;
+}
+
+function renderAttemptSummary(attempts) {
+    const durations = attempts.map(attempt => attempt.duration).filter(duration => duration !== null);
+    const averageDuration = durations.length > 0
+        ? Math.round(durations.reduce((sum, duration) => sum + duration, 0) / durations.length)
+        : null;
+    return `
+        <div class="completion-stats">
+            <div class="completion-stat">
+                <div class="completion-stat-value">${attempts.length}</div>
+                <div class="completion-stat-label">完成次数</div>
+            </div>
+            <div class="completion-stat">
+                <div class="completion-stat-value">${Math.max(...attempts.map(attempt => attempt.accuracy))}%</div>
+                <div class="completion-stat-label">最高正确率</div>
+            </div>
+            <div class="completion-stat">
+                <div class="completion-stat-value">${attempts[attempts.length - 1].accuracy}%</div>
+                <div class="completion-stat-label">最近一次</div>
+            </div>
+            <div class="completion-stat">
+                <div class="completion-stat-value">${AttemptHistory.formatDuration(averageDuration)}</div>
+                <div class="completion-stat-label">平均用时</div>
+            </div>
+        </div>
+    `;
+}
+
+// 最近的记录排在最前面，序号仍按完成先后编号
+function renderAttemptTable(attempts) {
+    return `
+        <table class="attempt-table">
+            <thead>
+                <tr><th>#</th><th>完成时间</th><th>模式</th><th>用时</th><th>答对</th><th>正确率</th></tr>
+            </thead>
+            <tbody>
+                ${attempts.map((attempt, index) => `
+                    <tr>
+                        <td>${index + 1}</td>
+                        <td>${AttemptHistory.formatTime(attempt.finishedAt)}</td>
+                        <td>${ATTEMPT_MODE_LABELS[attempt.mode] || attempt.mode}</td>
+                        <td>${AttemptHistory.formatDuration(attempt.duration)}</td>
+                        <td>${attempt.correctCount}/${attempt.total}</td>
+                        <td>${attempt.accuracy}%</td>
+                    </tr>
+                `).reverse().join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+function renderAttemptOptions(attempts, selectedIndex) {
+    return attempts.map((attempt, index) => `
+        <option value="${index}" ${index === selectedIndex ? 'selected' : ''}>
+            第 ${index + 1} 次 · ${AttemptHistory.formatTime(attempt.finishedAt)} · ${attempt.accuracy}%
+        </option>
+    `).join('');
+}
+
+// 题库中已不存在的题目（被删除或改了 id）只显示题目标识
+function renderCompareItem(key) {
+    const separator = key.lastIndexOf(':');
+    const stageId = key.slice(0, separator);
+    const questionId = parseInt(key.slice(separator + 1));
+    const question = findQuestion(stageId, questionId);
+    return `
+        <li class="wrong-item">
+            <div class="wrong-question">${question ? QuizMarkup.render(question.question) : `题目 ${escapeHtml(key)} 已不在题库中`}</div>
+            <div class="wrong-meta"><span>${escapeHtml(getHistoryStageLabel(stageId))} · 第 ${questionId} 题</span></div>
+        </li>
+    `;
+}
+
+function renderCompareGroup(title, keys, emptyText) {
+    return `
+        <h4 class="compare-title">${title} <span>(${keys.length})</span></h4>
+        ${keys.length > 0
+            ? `<ul class="wrong-list">${keys.map(renderCompareItem).join('')}</ul>`
+            : `<p class="empty-text">${emptyText}</p>`}
+    `;
+}
+
+function renderComparison(attempts, beforeIndex, afterIndex) {
+    const result = AttemptHistory.compare(attempts[beforeIndex], attempts[afterIndex]);
+    document.getElementById('attempt-compare').innerHTML = result.common === 0
+        ? '<p class="empty-text">这两次作答没有相同的题目</p>'
+        : `
+            <p class="compare-summary">
+                两次共有 ${result.common} 道相同的题目，${result.fixed.length} 道从答错变为答对，${result.regressed.length} 道从答对变为答错
+            </p>
+            ${renderCompareGroup('✅ 答错 → 答对', result.fixed, '没有从答错变为答对的题目')}
+            ${renderCompareGroup('⚠️ 答对 → 答错', result.regressed, '没有从答对变为答错的题目')}
+        `;
+}
+
+function renderHistoryPage(history, stageId) {
+    const container = document.getElementById('question-container');
+    const attempts = history[stageId] || [];
+    const label = getHistoryStageLabel(stageId);
+
+    if (attempts.length === 0) {
+        container.innerHTML = `
+            ${renderStageTabs(history, stageId)}
+            <p class="empty-text">「${escapeHtml(label)}」还没有完成过的答题记录</p>
+            ${StageRegistry.get(stageId) ? `
+                <div class="completion-buttons">
+                    <a href="quiz.html?stage=${encodeURIComponent(stageId)}" class="completion-button primary-button">开始练习 →</a>
+                </div>
+            ` : ''}
+        `;
+        return;
+    }
+
+    const afterIndex = attempts.length - 1;
+    const beforeIndex = Math.max(0, afterIndex - 1);
+    container.innerHTML = `
+        ${renderStageTabs(history, stageId)}
+        <div class="history-section">
+            <h2 class="exam-report-title">${escapeHtml(label)}</h2>
+            ${renderAttemptSummary(attempts)}
+            <div class="chart-card">${AttemptHistory.renderChart(attempts)}</div>
+        </div>
+
+        <div class="history-section">
+            <h3 class="exam-report-title">比较两次作答</h3>
+            ${attempts.length < 2 ? '<p class="empty-text">再完成一次后可以比较两次作答的变化</p>' : `
+                <div class="compare-form">
+                    <select id="compare-before">${renderAttemptOptions(attempts, beforeIndex)}</select>
+                    <span>→</span>
+                    <select id="compare-after">${renderAttemptOptions(attempts, afterIndex)}</select>
+                </div>
+                <div id="attempt-compare"></div>
+            `}
+        </div>
+
+        <div class="history-section">
+            <h3 class="exam-report-title">全部记录</h3>
+            ${renderAttemptTable(attempts)}
+        </div>
+    `;
+
+    if (attempts.length < 2) return;
+    const before = document.getElementById('compare-before');
+    const after = document.getElementById('compare-after');
+    const update = () => renderComparison(attempts, parseInt(before.value), parseInt(after.value));
+    before.addEventListener('change', update);
+    after.addEventListener('change', update);
+    update();
+}
+
+function initHistoryPage() {
+    const history = AttemptHistory.getAll();
+    const stageId = getStageFromUrl(history);
+    document.title = `${getHistoryStageLabel(stageId)} · 答题记录 - React 19 问答系统`;
+    renderHistoryPage(history, stageId);
+}
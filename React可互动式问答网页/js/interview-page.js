@@ -0,0 +1,252 @@
+// 模拟面试页面：设置题量、阶段和标签权重后从所有题库抽题，交给 QuizSystem 作答
+// 每场面试的成绩记录在 MockInterview 的面试记录中，不计入各阶段的学习进度
+const INTERVIEW_SETUP_KEY = 'react19_interview_setup';
+const INTERVIEW_SESSION_KEY = 'react19_quiz_session_interview';
+const INTERVIEW_WEIGHTS = { 0: '不考', 1: '普通', 2: '重点', 3: '核心' };
+// 设置表单中的标签权重：tag -> 权重
+const interviewTagWeights = new Map();
+// 当前这场面试的 QuizSystem，再来一场时先移除它的快捷键和事件订阅
+let interviewQuiz = null;
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+function getInterviewConfig() {
+    const setup = QuizStorage.get(INTERVIEW_SETUP_KEY);
+    return setup ? setup.config : {};
+}
+
+function renderWeightSelect(name, value) {
+    return `
+        <select name="${escapeHtml(name)}">
+            ${Object.entries(INTERVIEW_WEIGHTS).map(([weight, label]) => `
+                <option value="${weight}" ${Number(weight) === value ? 'selected' : ''}>${label}</option>
+            `).join('')}
+        </select>
+    `;
+}
+
+function getStageLabel(stageId) {
+    const stage = StageRegistry.get(stageId);
+    return stage ? StageRegistry.getLabel(stage) : stageId;
+}
+
+function renderInterviewHistory() {
+    const history = MockInterview.getHistory();
+    if (history.length === 0) {
+        return '<p class="empty-text">还没有面试记录，完成一场模拟面试后会显示在这里。</p>';
+    }
+    return `
+        <ul class="interview-history">
+            ${history.map(entry => `
+                <li class="interview-history-item">
+                    <div class="interview-history-header">
+                        <span>${new Date(entry.finishedAt).toLocaleString('zh-CN')} · ${entry.total} 题，答对 ${entry.correctCount} 题</span>
+                        <strong>${entry.accuracy}%</strong>
+                    </div>
+                    <div class="interview-history-stages">
+                        ${entry.stages.map(stage => `
+                            <span class="tag-chip">${escapeHtml(getStageLabel(stage.stageId))} <span class="tag-count">${stage.accuracy}%</span></span>
+                        `).join('')}
+                    </div>
+                </li>
+            `).join('')}
+        </ul>
+    `;
+}
+
+function renderTagWeightList() {
+    document.getElementById('tag-weight-list').innerHTML = [...interviewTagWeights.entries()].map(([tag, weight]) => `
+        <li>
+            <span>${escapeHtml(tag)}</span>
+            <span>${INTERVIEW_WEIGHTS[weight]} <button type="button" class="text-button" data-tag="${escapeHtml(tag)}">移除</button></span>
+        </li>
+    `).join('');
+}
+
+function renderInterviewSetup() {
+    const container = document.getElementById('question-container');
+    const config = getInterviewConfig();
+    const stageWeights = config.stageWeights || {};
+    const count = config.count || 10;
+    const recentDays = config.recentDays !== undefined ? config.recentDays : MockInterview.DEFAULT_RECENT_DAYS;
+
+    document.getElementById('quiz-stats').hidden = true;
+    container.innerHTML = `
+        <div class="completion-card exam-setup">
+            <div class="completion-icon">🎤</div>
+            <h2 class="completion-title">模拟面试</h2>
+            <p class="empty-text">从所有阶段的题库中抽题，可以按阶段和标签调整出题比重。</p>
+
+            <form class="exam-form" id="interview-form">
+                <label class="form-field">
+                    <span>题目数量</span>
+                    <select name="count">
+                        ${[5, 10, 15, 20, 30].map(n => `<option value="${n}" ${n === count ? 'selected' : ''}>${n} 题</option>`).join('')}
+                    </select>
+                </label>
+
+                <h3 class="form-section-title">阶段权重</h3>
+                ${QUESTION_BANKS.map(bank => `
+                    <label class="form-field">
+                        <span>${escapeHtml(bank.name)}</span>
+                        ${renderWeightSelect(`stage:${bank.stageId}`, MockInterview.getConfiguredWeight(stageWeights, bank.stageId))}
+                    </label>
+                `).join('')}
+
+                <h3 class="form-section-title">标签权重</h3>
+                <div class="form-field">
+                    <input class="search-input" id="tag-weight-input" list="interview-tag-options" placeholder="输入标签…">
+                    <select id="tag-weight-value">
+                        ${Object.entries(INTERVIEW_WEIGHTS).map(([weight, label]) => `<option value="${weight}" ${weight === '2' ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                    <button type="button" class="text-button" id="add-tag-weight">添加</button>
+                </div>
+                <datalist id="interview-tag-options">
+                    ${[...buildTagIndex().keys()].map(tag => `<option value="${escapeHtml(tag)}">`).join('')}
+                </datalist>
+                <ul class="review-breakdown tag-weight-list" id="tag-weight-list"></ul>
+
+                <h3 class="form-section-title">抽题规则</h3>
+                <label class="form-field">
+                    <span>均衡题型</span>
+                    <input type="checkbox" name="balanceTypes" ${config.balanceTypes === false ? '' : 'checked'}>
+                </label>
+                <label class="form-field">
+                    <span>避开答对过的题</span>
+                    <select name="recentDays">
+                        ${[0, 3, 7, 14, 30].map(n => `<option value="${n}" ${n === recentDays ? 'selected' : ''}>${n === 0 ? '不避开' : `最近 ${n} 天`}</option>`).join('')}
+                    </select>
+                </label>
+
+                <p class="empty-text" id="interview-error" hidden></p>
+                <div class="completion-buttons">
+                    <button type="submit" class="completion-button primary-button">开始面试 →</button>
+                </div>
+            </form>
+
+            <div class="exam-report">
+                <h3 class="exam-report-title">📋 面试记录</h3>
+                ${renderInterviewHistory()}
+            </div>
+        </div>
+    `;
+    renderTagWeightList();
+
+    document.getElementById('add-tag-weight').addEventListener('click', () => {
+        const input = document.getElementById('tag-weight-input');
+        const tag = input.value.trim();
+        if (!tag) return;
+        interviewTagWeights.set(tag, parseInt(document.getElementById('tag-weight-value').value));
+        input.value = '';
+        renderTagWeightList();
+    });
+
+    document.getElementById('tag-weight-list').addEventListener('click', event => {
+        const button = event.target.closest('[data-tag]');
+        if (!button) return;
+        interviewTagWeights.delete(button.dataset.tag);
+        renderTagWeightList();
+    });
+
+    document.getElementById('interview-form').addEventListener('submit', event => {
+        event.preventDefault();
+        const form = new FormData(event.target);
+        const config = {
+            count: parseInt(form.get('count')),
+            stageWeights: Object.fromEntries(QUESTION_BANKS.map(bank => [bank.stageId, parseInt(form.get(`stage:${bank.stageId}`))])),
+            tagWeights: Object.fromEntries(interviewTagWeights),
+            balanceTypes: form.get('balanceTypes') !== null,
+            recentDays: parseInt(form.get('recentDays'))
+        };
+        const seed = QuizShuffle.randomSeed();
+        const questions = MockInterview.generate(QUESTION_BANKS, config, {
+            schedule: ReviewScheduler.getAll(),
+            today: ReviewScheduler.toDateString(new Date()),
+            random: QuizShuffle.createRandom(seed)
+        });
+
+        if (questions.length === 0) {
+            const error = document.getElementById('interview-error');
+            error.textContent = '按当前的权重没有可以抽取的题目，请调整阶段或标签权重';
+            error.hidden = false;
+            return;
+        }
+
+        const setup = {
+            title: `模拟面试 · ${questions.length} 题`,
+            seed,
+            config,
+            questionKeys: questions.map(q => `${q.stageId}:${q.id}`)
+        };
+        QuizStorage.set(INTERVIEW_SETUP_KEY, setup);
+        startInterview(setup);
+    });
+}
+
+// 完成页下方显示面试记录，并可以重新生成一场面试
+function renderInterviewFollowUp() {
+    document.getElementById('question-container').insertAdjacentHTML('beforeend', `
+        <div class="completion-card exam-report">
+            <h3 class="exam-report-title">📋 面试记录</h3>
+            ${renderInterviewHistory()}
+            <div class="completion-buttons">
+                <button class="completion-button primary-button" id="new-interview-button">🎤 再来一场</button>
+            </div>
+        </div>
+    `);
+    document.getElementById('new-interview-button').addEventListener('click', () => {
+        destroyInterviewQuiz();
+        renderInterviewSetup();
+    });
+}
+
+function destroyInterviewQuiz() {
+    if (interviewQuiz) {
+        interviewQuiz.destroy();
+        interviewQuiz = null;
+    }
+}
+
+function startInterview(setup) {
+    const questions = setup.questionKeys
+        .map(key => {
+            const [stageId, questionId] = key.split(':');
+            return findQuestion(stageId, parseInt(questionId));
+        })
+        .filter(Boolean);
+
+    document.querySelector('.quiz-title').textContent = setup.title;
+    document.getElementById('quiz-stats').hidden = false;
+    destroyInterviewQuiz();
+    const quiz = initQuiz(questions, setup.title, {
+        stageId: 'interview',
+        trackProgress: false,
+        sections: getSectionsByStage(),
+        // 抽题时已经打乱了题目顺序，这里只打乱选项
+        shuffle: { seed: setup.seed, questions: false, options: true }
+    });
+    interviewQuiz = quiz;
+
+    const engine = quiz.engine;
+    engine.on('complete', ({ total, correctCount, accuracy }) => {
+        const stages = engine.buildBreakdown(question => [engine.getQuestionStageId(question)])
+            .map(({ name, ...group }) => ({ stageId: name, ...group }));
+        MockInterview.recordResult({ total, correctCount, accuracy, stages });
+        renderInterviewFollowUp();
+    });
+}
+
+// 有未完成的面试时按原题目重建，由 QuizSystem 提示继续或重新开始
+function initInterviewPage() {
+    const setup = QuizStorage.get(INTERVIEW_SETUP_KEY);
+    Object.entries(getInterviewConfig().tagWeights || {}).forEach(([tag, weight]) => interviewTagWeights.set(tag, weight));
+    if (setup && QuizStorage.get(INTERVIEW_SESSION_KEY)) {
+        startInterview(setup);
+    } else {
+        renderInterviewSetup();
+    }
+}
@@ -0,0 +1,109 @@
+// 模拟面试：按阶段和标签权重从所有题库抽题，可以均衡题型并避开最近答对的题目
+// 抽题函数不读取存储和当前时间，复习计划、今天的日期和随机数都由调用方传入
+// 浏览器中 ReviewScheduler、QuizShuffle 是全局对象，在 Node 中按需加载
+const InterviewScheduler = typeof ReviewScheduler !== 'undefined' ? ReviewScheduler : require('./scheduler.js');
+const InterviewShuffle = typeof QuizShuffle !== 'undefined' ? QuizShuffle : require('./shuffle.js');
+
+const MockInterview = {
+    HISTORY_KEY: 'react19_interview_history',
+    MAX_HISTORY: 20,
+    DEFAULT_RECENT_DAYS: 7,
+
+    // 阶段权重按题库大小归一化，权重相同的阶段抽中的题数期望相同；未设置的阶段和标签权重为 1
+    // 题目权重再乘以它所有标签的权重，所以标签权重为 0 会排除带这个标签的题目
+    getWeight(question, stageId, stageSize, config) {
+        const stageWeights = config.stageWeights || {};
+        const tagWeights = config.tagWeights || {};
+        const stageWeight = this.getConfiguredWeight(stageWeights, stageId);
+        return question.tags.reduce((weight, tag) => weight * this.getConfiguredWeight(tagWeights, tag), stageWeight / stageSize);
+    },
+
+    // 只认设置中自己的键，"constructor" 这类标签不会读到 Object.prototype 上的属性
+    getConfiguredWeight(weights, key) {
+        return Object.prototype.hasOwnProperty.call(weights, key) ? weights[key] : 1;
+    },
+
+    // 复习计划中答错会把 repetitions 清零，所以 repetitions > 0 说明最近一次作答是对的
+    isRecentlyCorrect(card, today, days) {
+        return days > 0 && Boolean(card) && card.repetitions > 0 &&
+            card.lastReviewed >= InterviewScheduler.addDays(today, -days);
+    },
+
+    // 不放回的加权抽样（Efraimidis-Spirakis）：每项取 random^(1/weight)，保留最大的 count 项
+    weightedSample(items, count, random) {
+        return items
+            .map(item => ({ item, key: random() ** (1 / item.weight) }))
+            .sort((a, b) => b.key - a.key)
+            .slice(0, count)
+            .map(({ item }) => item);
+    },
+
+    // 均衡题型时按题型轮流分配名额，某种题型不够时名额留给其他题型
+    pick(items, count, balanceTypes, random) {
+        if (!balanceTypes) {
+            return this.weightedSample(items, count, random);
+        }
+
+        const groups = new Map();
+        items.forEach(item => {
+            if (!groups.has(item.question.type)) {
+                groups.set(item.question.type, []);
+            }
+            groups.get(item.question.type).push(item);
+        });
+
+        // 题型顺序随机，题量不能整除时多出的名额不总是落在同几种题型上
+        const types = InterviewShuffle.shuffle([...groups.keys()], random);
+        const quotas = new Map(types.map(type => [type, 0]));
+        let assigned = 0;
+        while (assigned < count) {
+            const available = types.filter(type => quotas.get(type) < groups.get(type).length);
+            if (available.length === 0) break;
+            available.slice(0, count - assigned).forEach(type => {
+                quotas.set(type, quotas.get(type) + 1);
+                assigned++;
+            });
+        }
+
+        return types.flatMap(type => this.weightedSample(groups.get(type), quotas.get(type), random));
+    },
+
+    // 生成一场面试的题目（带 stageId 的副本），题目顺序已打乱
+    // config: { count, stageWeights, tagWeights, balanceTypes, recentDays }
+    // 避开最近答对的题目后题量不够时，再从这些题目中补足
+    generate(banks, config, { schedule = {}, today, random }) {
+        const recentDays = config.recentDays !== undefined ? config.recentDays : this.DEFAULT_RECENT_DAYS;
+        const candidates = banks.flatMap(bank => bank.questions.map(question => ({
+            question: { ...question, stageId: bank.stageId },
+            weight: this.getWeight(question, bank.stageId, bank.questions.length, config)
+        }))).filter(item => item.weight > 0);
+
+        const isRecent = item => this.isRecentlyCorrect(schedule[`${item.question.stageId}:${item.question.id}`], today, recentDays);
+        const fresh = candidates.filter(item => !isRecent(item));
+        const recent = candidates.filter(isRecent);
+
+        const picked = this.pick(fresh, config.count, config.balanceTypes, random);
+        if (picked.length < config.count) {
+            picked.push(...this.pick(recent, config.count - picked.length, config.balanceTypes, random));
+        }
+        return InterviewShuffle.shuffle(picked.map(item => item.question), random);
+    },
+
+    // ===== 本地存储 =====
+
+    // 按完成时间倒序，最多保留 MAX_HISTORY 条
+    getHistory() {
+        return QuizStorage.get(this.HISTORY_KEY, []);
+    },
+
+    // result: { total, correctCount, accuracy, stages: [{ stageId, total, correct, accuracy }] }
+    recordResult(result) {
+        const entry = { ...result, finishedAt: new Date().toISOString() };
+        QuizStorage.set(this.HISTORY_KEY, [entry, ...this.getHistory()].slice(0, this.MAX_HISTORY));
+        return entry;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MockInterview;
+}
@@ -0,0 +1,300 @@
+// 教程 markdown 渲染：标题（带锚点）、段落、代码块、表格、列表、引用、分隔线和常用行内标记
+// markdown 中的原始 HTML 一律转义后按文本显示；JS/TS 代码块沿用 QuizMarkup 的高亮，不依赖外部库
+const MarkdownMarkup = typeof QuizMarkup !== 'undefined' ? QuizMarkup : require('./markup.js');
+
+const MarkdownRenderer = {
+    FENCE_PATTERN: /^\s*(`{3,}|~{3,})\s*([\w+#.-]*)/,
+    HEADING_PATTERN: /^\s{0,3}(#{1,6})\s+(.*?)(\s+#+)?\s*$/,
+    RULE_PATTERN: /^\s{0,3}([-*_])(\s*\1){2,}\s*$/,
+    LIST_PATTERN: /^(\s*)([-*+]|\d+[.)])\s+(.*)$/,
+    QUOTE_PATTERN: /^\s*>\s?(.*)$/,
+    TABLE_DIVIDER_PATTERN: /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/,
+    // 这些语言按 JS 语法高亮，其余语言只转义
+    HIGHLIGHT_LANGUAGES: ['', 'js', 'jsx', 'ts', 'tsx', 'javascript', 'typescript'],
+    // 链接目标：(地址 "标题")，地址中允许一层成对的括号，教程文件名里常有括号
+    LINK_TARGET_SOURCE: /\(\s*<?((?:[^()\s<>]|\([^()\s]*\))+)>?(?:\s+"([^"]*)")?\s*\)/.source,
+    // 链接中不允许的协议
+    UNSAFE_LINK_PATTERN: /^\s*(javascript|vbscript|data):/i,
+
+    // 标题文字 -> 锚点 id：保留文字、数字、下划线和连字符，空白换成连字符
+    slugify(text) {
+        return text.trim().toLowerCase()
+            .replace(/\s+/g, '-')
+            .replace(/[^\p{L}\p{N}_-]/gu, '');
+    },
+
+    // options.resolveLink(href, isImage) 用于改写相对链接，返回改写后的地址
+    render(text, options = {}) {
+        const state = { options, ids: new Map() };
+        return this.renderBlocks(text.replace(/\r\n?/g, '\n').split('\n'), state);
+    },
+
+    renderBlocks(lines, state) {
+        let html = '';
+        let i = 0;
+        while (i < lines.length) {
+            const line = lines[i];
+            if (line.trim() === '') {
+                i++;
+                continue;
+            }
+
+            let block;
+            const heading = line.match(this.HEADING_PATTERN);
+            if (this.FENCE_PATTERN.test(line)) {
+                block = this.renderFence(lines, i);
+            } else if (heading) {
+                block = { html: this.renderHeading(heading[1].length, heading[2], state), next: i + 1 };
+            } else if (this.RULE_PATTERN.test(line)) {
+                block = { html: '<hr>', next: i + 1 };
+            } else if (this.isTableStart(lines, i)) {
+                block = this.renderTable(lines, i, state);
+            } else if (this.QUOTE_PATTERN.test(line)) {
+                block = this.renderQuote(lines, i, state);
+            } else if (this.LIST_PATTERN.test(line)) {
+                block = this.renderList(lines, i, state);
+            } else {
+                block = this.renderParagraph(lines, i, state);
+            }
+            html += block.html;
+            i = block.next;
+        }
+        return html;
+    },
+
+    // 段落中遇到这些行时结束当前段落
+    startsBlock(lines, index) {
+        const line = lines[index];
+        return this.FENCE_PATTERN.test(line)
+            || this.HEADING_PATTERN.test(line)
+            || this.RULE_PATTERN.test(line)
+            || this.QUOTE_PATTERN.test(line)
+            || this.LIST_PATTERN.test(line)
+            || this.isTableStart(lines, index);
+    },
+
+    getIndent(line) {
+        return line.match(/^\s*/)[0].length;
+    },
+
+    // 去掉所有非空行共同的缩进
+    dedent(lines) {
+        const indents = lines.filter(line => line.trim() !== '').map(line => this.getIndent(line));
+        const indent = indents.length > 0 ? Math.min(...indents) : 0;
+        return lines.map(line => line.slice(Math.min(indent, this.getIndent(line))));
+    },
+
+    renderFence(lines, start) {
+        const [, marker, language] = lines[start].match(this.FENCE_PATTERN);
+        const indent = this.getIndent(lines[start]);
+        const closing = new RegExp(`^\\s*${marker[0]}{${marker.length},}\\s*$`);
+        const code = [];
+        let i = start + 1;
+        while (i < lines.length && !closing.test(lines[i])) {
+            code.push(lines[i].slice(Math.min(indent, this.getIndent(lines[i]))));
+            i++;
+        }
+        return { html: this.renderCode(code.join('\n'), language.toLowerCase()), next: i + 1 };
+    },
+
+    renderCode(code, language) {
+        if (this.HIGHLIGHT_LANGUAGES.includes(language)) {
+            return MarkdownMarkup.renderCodeBlock(code, language);
+        }
+        return `<pre class="code-block"><code class="language-${MarkdownMarkup.escapeHtml(language)}">${MarkdownMarkup.escapeHtml(code)}</code></pre>`;
+    },
+
+    // 同名标题的锚点依次加上 -1、-2 后缀
+    renderHeading(level, text, state) {
+        const base = this.slugify(text.replace(/[`*~]/g, '')) || 'section';
+        const count = state.ids.get(base) || 0;
+        state.ids.set(base, count + 1);
+        const id = count === 0 ? base : `${base}-${count}`;
+        return `
+            <h${level} id="${MarkdownMarkup.escapeHtml(id)}">
+                ${this.renderInline(text, state)}
+                <a class="heading-anchor" href="#${encodeURIComponent(id)}" aria-label="链接到此标题">#</a>
+            </h${level}>
+        `;
+    },
+
+    isTableStart(lines, index) {
+        return lines[index].includes('|')
+            && index + 1 < lines.length
+            && lines[index + 1].includes('-')
+            && this.TABLE_DIVIDER_PATTERN.test(lines[index + 1]);
+    },
+
+    // 按未转义的 | 拆分单元格，首尾的 | 可以省略
+    splitRow(line) {
+        return line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '')
+            .split(/(?<!\\)\|/)
+            .map(cell => cell.trim().replace(/\\\|/g, '|'));
+    },
+
+    renderTable(lines, start, state) {
+        const header = this.splitRow(lines[start]);
+        const aligns = this.splitRow(lines[start + 1]).map(cell => {
+            if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+            if (cell.endsWith(':')) return 'right';
+            if (cell.startsWith(':')) return 'left';
+            return '';
+        });
+        const rows = [];
+        let i = start + 2;
+        while (i < lines.length && lines[i].trim() !== '' && lines[i].includes('|')) {
+            rows.push(this.splitRow(lines[i]));
+            i++;
+        }
+
+        const cell = (tag, text, index) => {
+            const style = aligns[index] ? ` style="text-align: ${aligns[index]}"` : '';
+            return `<${tag}${style}>${this.renderInline(text || '', state)}</${tag}>`;
+        };
+        return {
+            html: `
+                <div class="table-wrapper">
+                    <table>
+                        <thead><tr>${header.map((text, index) => cell('th', text, index)).join('')}</tr></thead>
+                        <tbody>
+                            ${rows.map(row => `<tr>${header.map((_, index) => cell('td', row[index], index)).join('')}</tr>`).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `,
+            next: i
+        };
+    },
+
+    renderQuote(lines, start, state) {
+        const inner = [];
+        let i = start;
+        while (i < lines.length && this.QUOTE_PATTERN.test(lines[i])) {
+            inner.push(lines[i].match(this.QUOTE_PATTERN)[1]);
+            i++;
+        }
+        return { html: `<blockquote>${this.renderBlocks(inner, state)}</blockquote>`, next: i };
+    },
+
+    // 同一缩进、同一类型（有序/无序）的连续列表项组成一个列表；缩进更深的行属于上一项
+    renderList(lines, start, state) {
+        const first = lines[start].match(this.LIST_PATTERN);
+        const indent = first[1].length;
+        const ordered = /\d/.test(first[2]);
+        const isSibling = match => match && match[1].length === indent && /\d/.test(match[2]) === ordered;
+        const items = [];
+        let i = start;
+        let lastBlank = false;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            const match = line.match(this.LIST_PATTERN);
+            if (isSibling(match)) {
+                items.push([match[3]]);
+                lastBlank = false;
+            } else if (line.trim() === '') {
+                // 空行之后仍是本列表的内容时列表继续
+                let next = i + 1;
+                while (next < lines.length && lines[next].trim() === '') next++;
+                const following = lines[next];
+                if (following === undefined || !(this.getIndent(following) > indent || isSibling(following.match(this.LIST_PATTERN)))) {
+                    break;
+                }
+                items[items.length - 1].push('');
+                lastBlank = true;
+            } else if (this.getIndent(line) > indent || (!lastBlank && !this.startsBlock(lines, i))) {
+                // 子列表、缩进的代码块，或紧跟在上一行后面的续行
+                items[items.length - 1].push(line);
+                lastBlank = false;
+            } else {
+                break;
+            }
+            i++;
+        }
+
+        const tag = ordered ? 'ol' : 'ul';
+        const startNumber = parseInt(first[2]);
+        const startAttr = ordered && startNumber !== 1 ? ` start="${startNumber}"` : '';
+        return {
+            html: `<${tag}${startAttr}>${items.map(item => this.renderListItem(item, state)).join('')}</${tag}>`,
+            next: i
+        };
+    },
+
+    // 列表项的第一段按行内文本渲染，之后的内容（子列表、代码块等）按块渲染
+    renderListItem([text, ...rest], state) {
+        const body = this.dedent(rest);
+        const paragraph = [text];
+        let k = 0;
+        while (k < body.length && body[k].trim() !== '' && !this.startsBlock(body, k)) {
+            paragraph.push(body[k].trim());
+            k++;
+        }
+
+        let content = paragraph.join('\n');
+        let checkbox = '';
+        const task = content.match(/^\[([ xX])\]\s+/);
+        if (task) {
+            checkbox = `<input type="checkbox" disabled ${task[1] === ' ' ? '' : 'checked'}> `;
+            content = content.slice(task[0].length);
+        }
+        return `<li>${checkbox}${this.renderInline(content, state)}${this.renderBlocks(body.slice(k), state)}</li>`;
+    },
+
+    renderParagraph(lines, start, state) {
+        const paragraph = [lines[start].trim()];
+        let i = start + 1;
+        while (i < lines.length && lines[i].trim() !== '' && !this.startsBlock(lines, i)) {
+            paragraph.push(lines[i]);
+            i++;
+        }
+        // 行尾两个空格或反斜杠表示强制换行
+        const text = paragraph.map(line => line.replace(/^\s+/, '')).join('\n');
+        return { html: `<p>${this.renderInline(text, state)}</p>`, next: i };
+    },
+
+    resolveHref(href, state, isImage) {
+        if (this.UNSAFE_LINK_PATTERN.test(href)) {
+            return '#';
+        }
+        return state.options.resolveLink ? state.options.resolveLink(href, isImage) : href;
+    },
+
+    // 先把行内代码、链接等替换成占位符，转义剩余文本后再处理强调标记，最后还原占位符
+    renderInline(text, state) {
+        const tokens = [];
+        const hold = html => `\u0000${tokens.push(html) - 1}\u0000`;
+        const link = (label, href, title) => {
+            const url = this.resolveHref(href, state, false);
+            const external = /^https?:/i.test(url) ? ' target="_blank" rel="noopener"' : '';
+            const titleAttr = title ? ` title="${MarkdownMarkup.escapeHtml(title)}"` : '';
+            return `<a href="${MarkdownMarkup.escapeHtml(url)}"${titleAttr}${external}>${label}</a>`;
+        };
+
+        let result = text
+            .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => hold(`<code>${MarkdownMarkup.escapeHtml(code.trim())}</code>`))
+            .replace(/\\([\\`*_{}[\]()#+\-.!|~<>])/g, (match, char) => hold(MarkdownMarkup.escapeHtml(char)))
+            .replace(/( {2,}|\\)\n/g, () => hold('<br>'))
+            .replace(/<(https?:\/\/[^>\s]+)>/g, (match, url) => hold(link(MarkdownMarkup.escapeHtml(url), url)))
+            .replace(new RegExp(`!\\[([^\\]]*)\\]${this.LINK_TARGET_SOURCE}`, 'g'), (match, alt, src, title) => {
+                const url = this.resolveHref(src, state, true);
+                const titleAttr = title ? ` title="${MarkdownMarkup.escapeHtml(title)}"` : '';
+                return hold(`<img src="${MarkdownMarkup.escapeHtml(url)}" alt="${MarkdownMarkup.escapeHtml(alt)}"${titleAttr} loading="lazy">`);
+            })
+            .replace(new RegExp(`\\[([^\\]]+)\\]${this.LINK_TARGET_SOURCE}`, 'g'), (match, label, href, title) => {
+                return hold(link(this.renderInline(label, state), href, title));
+            });
+
+        result = MarkdownMarkup.escapeHtml(result)
+            .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+            .replace(/__(?=\S)([\s\S]*?\S)__/g, '<strong>$1</strong>')
+            .replace(/\*(?=\S)([^*]*?\S)\*/g, '<em>$1</em>')
+            .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+
+        return result.replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[index]);
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarkdownRenderer;
+}
@@ -0,0 +1,76 @@
+// 题库文本标记：题目、选项和解析中可以使用轻量的代码标记，其余内容一律按纯文本转义
+//   `行内代码`                  -> <code>
+//   ```jsx\n多行代码\n```        -> <pre><code>，语言标记可省略
+// 代码部分使用内置的 JS/JSX 高亮，不依赖任何外部库
+const QuizMarkup = {
+    FENCE_PATTERN: /\n?```(\w*)\n?([\s\S]*?)\n?```\n?/g,
+    INLINE_PATTERN: /`([^`\n]+)`/g,
+
+    // 依次匹配：注释、字符串、JSX 标签、关键字、字面量、数字、函数调用
+    TOKEN_PATTERN: new RegExp([
+        /(\/\/[^\n]*|\/\*[\s\S]*?\*\/|\{\/\*[\s\S]*?\*\/\})/.source,
+        /('(?:\\.|[^'\\\n])*'|"(?:\\.|[^"\\\n])*"|`(?:\\.|[^`\\])*`)/.source,
+        /(<\/?[A-Za-z][\w.-]*|<\/?>|\/>|(?<=[\w"'}])>)/.source,
+        /\b(const|let|var|function|return|if|else|for|while|do|import|export|from|default|class|extends|new|this|async|await|try|catch|finally|throw|typeof|instanceof|of|in|switch|case|break|continue|yield|delete|void)\b/.source,
+        /\b(true|false|null|undefined|NaN)\b/.source,
+        /\b(\d+(?:\.\d+)?)\b/.source,
+        /\b([A-Za-z_$][\w$]*)(?=\s*\()/.source
+    ].join('|'), 'g'),
+
+    TOKEN_CLASSES: ['tok-comment', 'tok-string', 'tok-tag', 'tok-keyword', 'tok-literal', 'tok-number', 'tok-function'],
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
+    highlight(code) {
+        let html = '';
+        let lastIndex = 0;
+        code.replace(this.TOKEN_PATTERN, (match, ...groups) => {
+            const offset = groups[groups.length - 2];
+            const groupIndex = groups.slice(0, this.TOKEN_CLASSES.length).findIndex(group => group !== undefined);
+            html += this.escapeHtml(code.slice(lastIndex, offset));
+            html += `<span class="${this.TOKEN_CLASSES[groupIndex]}">${this.escapeHtml(match)}</span>`;
+            lastIndex = offset + match.length;
+            return match;
+        });
+        return html + this.escapeHtml(code.slice(lastIndex));
+    },
+
+    renderInline(text) {
+        let html = '';
+        let lastIndex = 0;
+        text.replace(this.INLINE_PATTERN, (match, code, offset) => {
+            html += this.escapeHtml(text.slice(lastIndex, offset)).replace(/\n/g, '<br>');
+            html += `<code>${this.highlight(code)}</code>`;
+            lastIndex = offset + match.length;
+            return match;
+        });
+        return html + this.escapeHtml(text.slice(lastIndex)).replace(/\n/g, '<br>');
+    },
+
+    renderCodeBlock(code, language) {
+        return `<pre class="code-block"><code class="language-${this.escapeHtml(language || 'jsx')}">${this.highlight(code)}</code></pre>`;
+    },
+
+    render(text) {
+        let html = '';
+        let lastIndex = 0;
+        text.replace(this.FENCE_PATTERN, (match, language, code, offset) => {
+            html += this.renderInline(text.slice(lastIndex, offset));
+            html += this.renderCodeBlock(code, language);
+            lastIndex = offset + match.length;
+            return match;
+        });
+        return html + this.renderInline(text.slice(lastIndex));
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuizMarkup;
+}
@@ -0,0 +1,43 @@
+// 学习进度记录：与 React框架体验/todo-app.html 共用 react19_learning_progress 数据结构
+// 每个阶段一条记录：{ stageId, completed, total, accuracy, lastAccessed, ... }
+const LearningProgress = {
+    STORAGE_KEY: 'react19_learning_progress',
+
+    getAll() {
+        return QuizStorage.get(this.STORAGE_KEY, {});
+    },
+
+    get(stageId) {
+        return this.getAll()[stageId] || null;
+    },
+
+    update(stageId, changes) {
+        const progress = this.getAll();
+        progress[stageId] = {
+            ...progress[stageId],
+            ...changes,
+            stageId,
+            lastAccessed: new Date().toISOString()
+        };
+        QuizStorage.set(this.STORAGE_KEY, progress);
+        return progress[stageId];
+    },
+
+    // 每答一题记录当前这一轮的进度
+    recordAnswer(stageId, { completed, total, accuracy }) {
+        return this.update(stageId, { completed, total, accuracy });
+    },
+
+    // 完成一整轮时记录成绩，并保留历史最佳正确率
+    recordCompletion(stageId, { total, accuracy }) {
+        const previous = this.get(stageId) || {};
+        return this.update(stageId, {
+            completed: total,
+            total,
+            accuracy,
+            bestAccuracy: Math.max(previous.bestAccuracy || 0, accuracy),
+            completions: (previous.completions || 0) + 1,
+            completedAt: new Date().toISOString()
+        });
+    }
+};
@@ -0,0 +1,67 @@
+// 题库索引：汇总所有阶段题库，供错题本等跨阶段功能按 stageId + 题目 id 查找题目
+// 题库由 loadQuestionBanks() 通过 BankLoader 异步加载，加载完成前为空数组
+const QUESTION_BANKS = [];
+
+// 返回 Promise<string[]>，内容为加载失败的题库的错误信息
+function loadQuestionBanks() {
+    return BankLoader.loadAll().then(({ banks, errors }) => {
+        QUESTION_BANKS.splice(0, QUESTION_BANKS.length, ...banks);
+        return errors;
+    });
+}
+
+// 跨阶段页面的入口：题库加载完成后再初始化页面
+// 部分题库失败时在页面顶部提示并继续使用其余题库，全部失败时显示错误页
+function initWithQuestionBanks(initPage) {
+    const container = document.getElementById('question-container');
+    container.innerHTML = '<p class="loading-text">正在加载题库…</p>';
+
+    return loadQuestionBanks().then(errors => {
+        if (QUESTION_BANKS.length === 0) {
+            renderBankError(container, errors);
+            return;
+        }
+        if (errors.length > 0) {
+            container.insertAdjacentHTML('beforebegin', `
+                <div class="load-warning">⚠️ 部分题库没有加载成功，相关题目暂时不可用：${errors.join('；')}</div>
+            `);
+        }
+        initPage();
+    });
+}
+
+// 供跨阶段练习传给 QuizSystem 的章节划分：{ stageId: sections }
+function getSectionsByStage() {
+    const sections = {};
+    QUESTION_BANKS.forEach(bank => {
+        sections[bank.stageId] = bank.sections;
+    });
+    return sections;
+}
+
+function findBank(stageId) {
+    return QUESTION_BANKS.find(bank => bank.stageId === stageId) || null;
+}
+
+// 返回带 stageId 的题目副本，混合多个阶段的题目时 QuizSystem 依靠它区分来源
+function findQuestion(stageId, questionId) {
+    const bank = findBank(stageId);
+    const question = bank && bank.questions.find(q => q.id === questionId);
+    return question ? { ...question, stageId } : null;
+}
+
+// 标签索引：tag -> 带 stageId 的题目列表，按题目数量从多到少排序
+function buildTagIndex(banks = QUESTION_BANKS) {
+    const index = new Map();
+    banks.forEach(bank => {
+        bank.questions.forEach(question => {
+            question.tags.forEach(tag => {
+                if (!index.has(tag)) {
+                    index.set(tag, []);
+                }
+                index.get(tag).push({ ...question, stageId: bank.stageId });
+            });
+        });
+    });
+    return new Map([...index.entries()].sort((a, b) => b[1].length - a[1].length));
+}
@@ -1,964 +0,0 @@
-// Part 19: 面试突破 - 题库
-const questionsPart19 = [
-    // React基础面试题 (1-10)
-    {
-        id: 1,
-        type: 'single',
-        question: '面试中被问到"React是什么"时，最全面的回答应该包括什么？',
-        options: [
-            '只说是UI库',
-            '说明是声明式、组件化的UI库，用于构建用户界面',
-            '只说是Facebook开发的',
-            '说是框架'
-        ],
-        answer: [1],
-        explanation: {
-            correct: '全面的回答应该包括：1) 声明式编程范式；2) 基于组件的架构；3) 虚拟DOM和高效更新；4) 单向数据流；5) 生态系统丰富；6) 不是完整框架，是UI库。展示对React核心理念的理解。',
-            wrong: {
-                0: '太简单，没有展示深度理解。',
-                2: '公司信息不是核心，应该聚焦技术特点。',
-                3: 'React自称库（library），不是框架（framework）。这是有意义的区分。'
-            }
-        },
-        tags: ['面试', 'React基础', '概念理解', '表达能力']
-    },
-    {
-        id: 2,
-        type: 'multiple',
-        question: '面试官问"虚拟DOM的优势"，应该提到哪些方面？（多选）',
-        options: [
-            '提供了编程模型的抽象',
-            '批量更新和diff算法减少DOM操作',
-            '跨平台能力（React Native）',
-            '虚拟DOM总是比直接操作DOM快'
-        ],
-        answer: [0, 1, 2],
-        explanation: {
-            correct: '选项A：声明式编程，不用手动操作DOM。选项B：合并更新，只改变需要改变的部分。选项C：相同的组件模型可用于原生应用。这些都是真实优势。',
-            wrong: {
-                3: '这是误区。虚拟DOM不总是更快（对比手动优化的DOM操作）。优势在于开发体验和维护性，性能是次要的。面试中避免绝对化的表述。'
-            }
-        },
-        tags: ['虚拟DOM', 'diff算法', '面试', '优势分析']
-    },
-    {
-        id: 3,
-        type: 'single',
-        question: '面试中如何解释"组件化"的好处？',
-        options: [
-            '只说代码复用',
-            '全面说明：复用、关注点分离、独立测试、并行开发',
-            '只说便于维护',
-            '说是流行趋势'
-        ],
-        answer: [1],
-        explanation: {
-            correct: '全面的回答展示系统思维：1) 代码复用减少重复；2) 每个组件关注单一职责；3) 独立组件易于单元测试；4) 团队可以并行开发不同组件；5) 组件化设计利于扩展。如果能结合实际项目经验更好。',
-            wrong: {
-                0: '太片面，没有展示全局视野。',
-                2: '也是片面的，维护性只是一个方面。',
-                3: '不应该说"流行趋势"这种空话，要说具体好处。'
-            }
-        },
-        tags: ['组件化', '面试', '架构设计', '表达能力']
-    },
-    {
-        id: 4,
-        type: 'judge',
-        question: '面试中被问到"不熟悉的知识点"时，应该直接说"不知道"然后沉默。',
-        options: ['正确', '错误'],
-        answer: [1],
-        explanation: {
-            correct: '更好的做法：1) 诚实承认不熟悉（不要撒谎）；2) 说说相关的知识或猜测（展示思维）；3) 表达学习意愿和能力；4) 如果可能，类比到熟悉的概念。例如："这个我不太熟悉，但我知道类似的X，我猜测它可能..."。',
-            wrong: {
-                0: '直接沉默会错失展示思维能力和学习态度的机会。面试也在考察沟通和学习能力。'
-            }
-        },
-        tags: ['面试技巧', '沟通能力', '学习态度', '软技能']
-    },
-    {
-        id: 5,
-        type: 'single',
-        question: '面试官问"React和Vue的区别"，最好的回答策略是什么？',
-        options: [
-            '贬低Vue，吹捧React',
-            '客观对比技术差异，说明各自的优势和适用场景',
-            '说完全一样',
-            '只说自己更熟悉React'
-        ],
-        answer: [1],
-        explanation: {
-            correct: '专业的回答：1) 模板vs JSX的权衡；2) 响应式系统的差异；3) 生态系统的不同；4) 学习曲线；5) 适用场景。保持客观，展示技术视野。如果只熟悉React，可以说："我主要使用React，但了解Vue的...特点，各有优势..."。',
-            wrong: {
-                0: '贬低其他技术显得不专业且视野狭窄。',
-                2: '明显不专业，两者有很多区别。',
-                3: '太简单，没有展示技术理解。即使只熟悉React，也应该了解基本差异。'
-            }
-        },
-        tags: ['技术对比', '面试', '技术视野', '专业性']
-    },
-    {
-        id: 6,
-        type: 'multiple',
-        question: '面试中展示代码能力时应该注意什么？（多选）',
-        options: [
-            '先说明思路，再写代码',
-            '边写边解释',
-            '写完立即测试边界情况',
-            '写出完美无缺的代码'
-        ],
-        answer: [0, 1, 2],
-        explanation: {
-            correct: '选项A：展示问题分析能力。选项B：让面试官跟上思路。选项C：展示测试思维和严谨性。这些都是好习惯。',
-            wrong: {
-                3: '不要追求完美，那会浪费时间且增加压力。写出工作的代码，然后讨论优化。面试看重思路和沟通，不是完美代码。'
-            }
-        },
-        tags: ['编程面试', '代码能力', '沟通', '软技能']
-    },
-    {
-        id: 7,
-        type: 'single',
-        question: '面试中遇到"设计一个系统"的问题，第一步应该做什么？',
-        options: [
-            '立即开始写代码',
-            '问清楚需求、规模、约束条件',
-            '说自己做过类似的',
-            '列出所有可能用到的技术'
-        ],
-        answer: [1],
-        explanation: {
-            correct: '系统设计的第一步是明确需求：1) 功能需求（必须有什么功能）；2) 非功能需求（性能、规模、可用性）；3) 约束条件（时间、资源）。然后才开始设计。匆忙编码是大忌。展示你会提问、分析问题。',
-            wrong: {
-                0: '太急躁，没有明确需求就编码是不专业的。',
-                2: '可以提及相关经验，但首先要理解当前问题。',
-                3: '技术选型应该在理解需求之后，不是一开始罗列技术。'
-            }
-        },
-        tags: ['系统设计', '需求分析', '面试', '问题解决']
-    },
-    {
-        id: 8,
-        type: 'judge',
-        question: '面试中如果提前完成题目，应该立即提交，表现高效。',
-        options: ['正确', '错误'],
-        answer: [1],
-        explanation: {
-            correct: '更好的做法：1) 检查代码（边界情况、错误处理）；2) 考虑优化（性能、可读性）；3) 主动讨论trade-offs；4) 提出可能的改进。这展示了细心和深度思考。匆忙提交可能错过展示能力的机会。',
-            wrong: {
-                0: '提前完成是好的，但应该利用时间展示更多能力，不是匆忙结束。'
-            }
-        },
-        tags: ['面试技巧', '时间管理', '展示能力', '软技能']
-    },
-    {
-        id: 9,
-        type: 'single',
-        question: '面试官问"你的缺点是什么"，最好的策略是什么？',
-        options: [
-            '说自己没有缺点',
-            '说个无关紧要的缺点',
-            '说一个真实的缺点和你如何改进',
-            '说很多缺点显示诚实'
-        ],
-        answer: [2],
-        explanation: {
-            correct: '好的回答：1) 选一个真实但不致命的缺点；2) 说明你如何意识到它；3) 你正在采取什么措施改进；4) 已经取得的进展。展示自我认知、学习能力、成长思维。例如："我曾经倾向过度优化，现在学会先实现功能，再根据数据优化..."。',
-            wrong: {
-                0: '不真诚，缺乏自我认知。',
-                1: '"完美主义"等陈词滥调显得不真诚。',
-                3: '列举太多缺点会留下负面印象。选1-2个，重点是改进。'
-            }
-        },
-        tags: ['行为面试', '自我认知', '软技能', '沟通']
-    },
-    {
-        id: 10,
-        type: 'multiple',
-        question: '技术面试结束时问面试官的好问题包括哪些？（多选）',
-        options: [
-            '团队的技术栈和工作方式',
-            '这个职位的主要挑战',
-            '薪水是多少',
-            '团队的成长和学习机会'
-        ],
-        answer: [0, 1, 3],
-        explanation: {
-            correct: '选项A、B、D展示了你对工作内容、成长的关注。好问题：技术栈、代码review流程、团队规模、项目类型、成长机会、公司文化。避免敏感问题（薪水在HR面谈）。',
-            wrong: {
-                2: '薪水问题应该在HR面或offer阶段谈，技术面问会显得只关心钱。先展示能力和兴趣。'
-            }
-        },
-        tags: ['面试', '提问技巧', '职业发展', '软技能']
-    },
-
-    // Hooks面试题 (11-20)
-    {
-        id: 11,
-        type: 'single',
-        question: '面试官问"为什么Hooks不能在条件语句中调用"，最佳回答是什么？',
-        options: [
-            '因为React规定的',
-            '解释React内部用链表存储Hooks，顺序很重要',
-            '不知道为什么',
-            '性能原因'
-        ],
-        answer: [1],
-        explanation: {
-            correct: '深入的回答：1) React用链表（或数组）按顺序存储Hooks状态；2) 每次渲染必须按相同顺序调用相同数量的Hooks；3) 条件调用会破坏顺序，导致state错配；4) 这是React Hooks设计的trade-off。如果能举例说明（条件调用导致的bug）更好。',
-            wrong: {
-                0: '太肤浅，没有解释原因。',
-                2: '诚实但不加分。至少可以猜测或说明你的理解。',
-                3: '不是性能原因，而是正确性原因。'
-            }
-        },
-        tags: ['Hooks', '面试', '原理理解', 'React内部机制']
-    },
-    {
-        id: 12,
-        type: 'judge',
-        question: '面试中写自定义Hook时，应该在函数内部验证参数吗？',
-        options: ['正确', '错误'],
-        answer: [0],
-        explanation: {
-            correct: '应该验证参数并给出友好的错误消息。这展示了：1) 防御性编程；2) 用户体验考虑；3) 错误处理能力；4) API设计意识。例如：if (!url) throw new Error("url is required")。面试中这种细节能加分。',
-            wrong: {
-                1: '验证参数是专业代码的标志。面试中的每个细节都可能被评估。'
-            }
-        },
-        tags: ['自定义Hooks', '参数验证', '错误处理', '代码质量']
-    },
-    {
-        id: 13,
-        type: 'single',
-        question: '面试中被要求实现一个useFetch Hook，应该考虑哪些方面？',
-        options: [
-            '只实现基本的请求功能',
-            '考虑加载状态、错误处理、取消请求、竞态条件',
-            '只考虑成功情况',
-            '使用第三方库'
-        ],
-        answer: [1],
-        explanation: {
-            correct: '全面的实现应该包括：1) loading/error/data状态；2) 请求取消（AbortController）；3) 竞态条件处理（忽略过期请求）；4) 依赖数组正确性；5) 可选的error boundary。可以先实现基础版本，然后讨论这些改进。展示完整的思考。',
-            wrong: {
-                0: '基础功能太简单，不能展示深度。',
-                2: '没有考虑错误情况是不专业的。',
-                3: '面试通常要求手写实现，展示理解，不是用库。'
-            }
-        },
-        tags: ['useFetch', '自定义Hooks', '面试', '全面性']
-    },
-    {
-        id: 14,
-        type: 'single',
-        question: '面试中如何解释闭包陷阱问题？',
-        options: [
-            '说是React的bug',
-            '解释：effect中捕获了旧的state，解决方案是正确的依赖或函数式更新',
-            '说不会发生',
-            '说只是理论问题'
-        ],
-        answer: [1],
-        explanation: {
-            correct: '清晰的解释：1) JavaScript闭包特性；2) effect中的函数捕获创建时的变量；3) state更新后，旧的effect仍引用旧值；4) 解决方案：完整依赖数组或使用函数式更新。最好能写示例代码展示问题和解决方案。',
-            wrong: {
-                0: '不是React的bug，是JavaScript闭包的特性。',
-                2: '这是常见问题，说不会发生显示缺乏经验。',
-                3: '这是实际项目中常遇到的问题，不是理论。'
-            }
-        },
-        tags: ['闭包陷阱', 'useEffect', '面试', '问题解决']
-    },
-    {
-        id: 15,
-        type: 'multiple',
-        question: '面试中优化性能时，应该提到哪些Hooks？（多选）',
-        options: [
-            'useMemo',
-            'useCallback',
-            'useEffect',
-            'React.memo'
-        ],
-        answer: [0, 1, 3],
-        explanation: {
-            correct: '选项A：缓存计算结果。选项B：缓存函数。选项D：虽然不是Hook，但常配合使用。应该强调：不要过早优化，先测量再优化，说明使用场景。',
-            wrong: {
-                2: 'useEffect不是性能优化工具，而是副作用管理工具。'
-            }
-        },
-        tags: ['性能优化', 'Hooks', '面试', 'useMemo', 'useCallback']
-    },
-    {
-        id: 16,
-        type: 'single',
-        question: '面试中写useEffect时，忘记清理函数会被扣分吗？',
-        options: [
-            '不会，清理函数不重要',
-            '会，因为忽略了内存泄漏和错误',
-            '看面试官心情',
-            '只有高级职位才需要'
-        ],
-        answer: [1],
-        explanation: {
-            correct: '忘记清理函数是严重问题：1) 定时器泄漏；2) 订阅未取消；3) 异步操作在组件卸载后仍执行。面试中这类细节反映代码质量意识。即使题目没要求，主动提到清理函数能加分。',
-            wrong: {
-                0: '清理函数很重要，忽视它显示缺乏经验。',
-                2: '代码质量是客观的，不是主观的。',
-                3: '所有级别都应该知道基本的资源管理。'
-            }
-        },
-        tags: ['useEffect', '清理函数', '内存泄漏', '面试']
-    },
-    {
-        id: 17,
-        type: 'judge',
-        question: '面试中实现功能时，应该使用class组件还是函数组件？',
-        options: ['函数组件', '都可以，看情况'],
-        answer: [0],
-        explanation: {
-            correct: '除非面试官特别要求class组件（可能在测试对旧代码的理解），否则应该用函数组件和Hooks。这展示：1) 对现代React的熟悉；2) 更简洁的代码；3) 遵循当前最佳实践。如果面试要求class组件，那是在测试你的全面性。',
-            wrong: {
-                1: '虽然理论上都可以，但函数组件是现代React的标准，面试中应该展示最新的技能。'
-            }
-        },
-        tags: ['函数组件', 'class组件', '最佳实践', '面试']
-    },
-    {
-        id: 18,
-        type: 'single',
-        question: '面试官问"useState和useReducer如何选择"，最好的回答是什么？',
-        options: [
-            '总是用useState',
-            '总是用useReducer',
-            '根据state复杂度：简单用useState，复杂用useReducer',
-            '随便用哪个'
-        ],
-        answer: [2],
-        explanation: {
-            correct: '专业的回答：1) 简单state（单个值、几个独立值）用useState；2) 复杂state（多个子值、复杂更新逻辑）用useReducer；3) 需要可测试的状态转换用useReducer；4) 深层组件更新用useReducer（dispatch稳定）。能举例说明更好。',
-            wrong: {
-                0: '太绝对，展示缺乏灵活性。',
-                1: '太绝对，useReducer对简单情况过度复杂。',
-                3: '随便选显示缺乏判断力，没有理解各自优势。'
-            }
-        },
-        tags: ['useState', 'useReducer', '选择', '面试', '权衡']
-    },
-    {
-        id: 19,
-        type: 'single',
-        question: '面试中被问到"如何避免useEffect的无限循环"，应该提到什么？',
-        options: [
-            '不使用useEffect',
-            '正确设置依赖数组，避免在effect中更新依赖的state',
-            '使用setTimeout延迟',
-            '用类组件'
-        ],
-        answer: [1],
-        explanation: {
-            correct: '专业的回答：1) 理解无限循环的原因（effect更新了依赖的state）；2) 解决方案：移除不必要的依赖、使用函数式更新、用useRef保存不变的值、重新设计逻辑；3) 使用ESLint的exhaustive-deps规则。能举例说明常见场景更好。',
-            wrong: {
-                0: 'useEffect是必要的，不能不用。',
-                2: 'setTimeout是hack，不解决根本问题。',
-                3: '换回class组件不解决问题，而且是倒退。'
-            }
-        },
-        tags: ['useEffect', '无限循环', '依赖数组', '面试']
-    },
-    {
-        id: 20,
-        type: 'multiple',
-        question: '面试中实现自定义Hook时，哪些是好的实践？（多选）',
-        options: [
-            '以use开头命名',
-            '返回值设计友好（数组或对象）',
-            '考虑TypeScript类型',
-            '在Hook内部console.log'
-        ],
-        answer: [0, 1, 2],
-        explanation: {
-            correct: '选项A：遵循命名约定。选项B：好的API设计。选项C：即使不用TS，提到类型考虑展示专业性。',
-            wrong: {
-                3: '生产代码不应有console.log（特别是Hook内部）。面试中注意代码质量细节。'
-            }
-        },
-        tags: ['自定义Hooks', '最佳实践', 'API设计', '面试']
-    },
-
-    // 状态管理面试题 (21-30)
-    {
-        id: 21,
-        type: 'single',
-        question: '面试官问"何时使用Context，何时使用状态管理库"，最好的回答是什么？',
-        options: [
-            '总是用Redux',
-            '根据复杂度：简单全局状态用Context，复杂应用用Redux/Zustand等',
-            '总是用Context',
-            '都不用，用props'
-        ],
-        answer: [1],
-        explanation: {
-            correct: '专业的回答：1) Context适合：中小规模、较少变化的全局状态（主题、用户信息、语言）；2) 状态管理库适合：大规模应用、频繁变化、需要DevTools、中间件、时间旅行；3) 可以组合使用。展示对不同方案的理解和权衡能力。',
-            wrong: {
-                0: 'Redux对很多应用是过度设计。',
-                2: 'Context对大型应用可能性能不足。',
-                3: 'Props drilling是要避免的问题。'
-            }
-        },
-        tags: ['状态管理', 'Context', 'Redux', '面试', '技术选型']
-    },
-    {
-        id: 22,
-        type: 'judge',
-        question: '面试中提到Redux时，应该说明它的缺点和替代方案。',
-        options: ['正确', '错误'],
-        answer: [0],
-        explanation: {
-            correct: '展示批判性思维：1) Redux优点（可预测、DevTools、中间件）；2) 缺点（样板代码多、学习曲线）；3) 现代替代方案（Redux Toolkit、Zustand、Jotai）；4) React Query/SWR用于服务端状态。客观评价技术展示成熟的技术视野。',
-            wrong: {
-                1: '只说优点显得缺乏批判性思维和对生态系统的了解。'
-            }
-        },
-        tags: ['Redux', '技术评价', '批判性思维', '面试']
-    },
-    {
-        id: 23,
-        type: 'single',
-        question: '面试中如何解释"服务端状态"和"客户端状态"的区别？',
-        options: [
-            '没有区别',
-            '服务端状态来自API，有缓存、同步等特殊需求',
-            '只是名称不同',
-            '服务端状态更重要'
-        ],
-        answer: [1],
-        explanation: {
-            correct: '清晰的解释：1) 客户端状态：UI状态（模态框、表单输入），由客户端完全控制；2) 服务端状态：来自API的数据，是服务端数据的客户端缓存，需要缓存、同步、失效、重新获取；3) 用React Query/SWR等库专门处理服务端状态。',
-            wrong: {
-                0: '有本质区别，区分它们是现代状态管理的关键。',
-                2: '不只是名称，管理方式完全不同。',
-                3: '不是重要性的区别，而是性质的区别。'
-            }
-        },
-        tags: ['状态管理', '服务端状态', '客户端状态', '面试']
-    },
-    {
-        id: 24,
-        type: 'multiple',
-        question: '面试中设计状态管理方案时应该考虑什么？（多选）',
-        options: [
-            '状态的作用域（全局vs局部）',
-            '状态的复杂度',
-            '性能需求',
-            '使用最新最酷的库'
-        ],
-        answer: [0, 1, 2],
-        explanation: {
-            correct: '选项A：避免过度全局化。选项B：复杂度决定工具选择。选项C：高频更新需要考虑性能。展示系统化的思考过程。',
-            wrong: {
-                3: '不应该为了新而选择技术，应该根据需求选择合适的工具。这显示不成熟。'
-            }
-        },
-        tags: ['状态管理', '技术选型', '系统设计', '面试']
-    },
-    {
-        id: 25,
-        type: 'single',
-        question: '面试官问"Prop drilling如何解决"，最全面的回答包括什么？',
-        options: [
-            '只说Context',
-            '列举多种方案：Context、组件组合、状态管理库，说明各自场景',
-            '说这不是问题',
-            '只说Redux'
-        ],
-        answer: [1],
-        explanation: {
-            correct: '全面的回答：1) Context（简单共享状态）；2) 组件组合/children模式（避免中间组件传递）；3) 状态管理库（复杂应用）；4) 状态下沉（减少共享需求）。解释每种方案的适用场景展示深度理解。',
-            wrong: {
-                0: '只提Context太片面。',
-                2: 'Prop drilling确实是问题，说不是问题显示缺乏经验。',
-                3: 'Redux对小问题是大炮打蚊子。'
-            }
-        },
-        tags: ['Prop drilling', '状态管理', '解决方案', '面试']
-    },
-    {
-        id: 26,
-        type: 'single',
-        question: '面试中提到useReducer时，应该和什么对比？',
-        options: [
-            '不需要对比',
-            '与useState对比，说明各自的优势和选择依据',
-            '只说useReducer更好',
-            '与Redux对比'
-        ],
-        answer: [1],
-        explanation: {
-            correct: '有效的对比：1) useState：简单、直观，适合独立的state；2) useReducer：复杂状态、多个子值、复杂更新逻辑；3) 选择依据：复杂度、可测试性、团队习惯。也可以提到useReducer和Redux的相似性和区别。',
-            wrong: {
-                0: '对比能展示理解深度。',
-                2: '绝对化的说法不专业。',
-                3: '虽然可以比，但首先应该与useState比，因为它们都是React内置Hook。'
-            }
-        },
-        tags: ['useReducer', 'useState', '对比', '面试']
-    },
-    {
-        id: 27,
-        type: 'judge',
-        question: '面试中如果时间允许，应该主动提到状态管理的性能优化。',
-        options: ['正确', '错误'],
-        answer: [0],
-        explanation: {
-            correct: '主动提到高级话题能加分：1) Context性能问题和优化（拆分Context、useMemo包装value）；2) 选择器的使用（Redux的useSelector、Zustand的selector）；3) 不可变更新的性能；4) 避免不必要的渲染。展示深度理解。',
-            wrong: {
-                1: '主动展示知识深度和广度是好的面试策略。'
-            }
-        },
-        tags: ['状态管理', '性能优化', '主动展示', '面试技巧']
-    },
-    {
-        id: 28,
-        type: 'single',
-        question: '面试中如何回答"你们项目的状态管理方案"？',
-        options: [
-            '只说用了什么库',
-            '说明：用了什么、为什么选择它、遇到什么问题、如何解决',
-            '说老板让用的',
-            '说不记得了'
-        ],
-        answer: [1],
-        explanation: {
-            correct: '好的回答展示完整思考：1) 方案选择（Context/Redux/其他）；2) 选择原因（项目规模、团队经验）；3) 实施细节（如何组织、中间件使用）；4) 遇到的挑战和解决方案；5) 效果评估。结合实际项目经验最有说服力。',
-            wrong: {
-                0: '太简单，没有展示思考深度。',
-                2: '显示缺乏主动性和思考。',
-                3: '不记得核心技术选型是不专业的。'
-            }
-        },
-        tags: ['项目经验', '状态管理', '面试', '表达能力']
-    },
-    {
-        id: 29,
-        type: 'single',
-        question: '面试官问"如何在React中实现撤销/重做功能"，应该提到什么？',
-        options: [
-            '说不可能实现',
-            '说明：保存状态历史、指针移动、不可变更新的重要性',
-            '只说用第三方库',
-            '说这是面试官的问题'
-        ],
-        answer: [1],
-        explanation: {
-            correct: '完整的思路：1) 用数组保存状态历史；2) 指针指向当前状态；3) 撤销：指针后退；重做：指针前进；4) 新操作清除"未来"的历史；5) 不可变更新确保历史不被修改。可以提到useReducer实现或专门的库。',
-            wrong: {
-                0: '完全可以实现，这是经典的状态管理问题。',
-                2: '虽然有库，但面试要展示理解原理。',
-                3: '不要质疑面试官的问题，这是专业场景。'
-            }
-        },
-        tags: ['撤销重做', '状态管理', '算法', '面试']
-    },
-    {
-        id: 30,
-        type: 'multiple',
-        question: '面试中谈到状态管理时，应该避免哪些说法？（多选）',
-        options: [
-            '"Redux已经过时了"',
-            '"Context就是Redux的替代"',
-            '"状态管理很简单"',
-            '"我会根据需求选择合适的方案"'
-        ],
-        answer: [0, 1, 2],
-        explanation: {
-            correct: '选项A：Redux仍然广泛使用，说过时显示视野狭窄。选项B：Context和Redux解决不同问题。选项C：状态管理是复杂话题，说简单显示缺乏深度。',
-            wrong: {
-                3: '这是好的说法，展示灵活性和判断力。'
-            }
-        },
-        tags: ['状态管理', '面试', '表达', '避免误区']
-    },
-
-    // 性能优化面试题 (31-40)
-    {
-        id: 31,
-        type: 'single',
-        question: '面试官问"React性能优化的方法"，应该按什么逻辑回答？',
-        options: [
-            '随意列举',
-            '分类说明：渲染优化、bundle优化、网络优化，优先级排序',
-            '只说React.memo',
-            '说性能不重要'
-        ],
-        answer: [1],
-        explanation: {
-            correct: '有条理的回答：1) 避免不必要渲染（React.memo、useMemo、useCallback）；2) 代码分割和懒加载；3) 虚拟化长列表；4) 图片优化；5) 网络优化（缓存、CDN）。分类和优先级展示系统思维。强调：先测量再优化。',
-            wrong: {
-                0: '随意列举显示缺乏系统性。',
-                2: 'React.memo只是一个方面，太片面。',
-                3: '性能对用户体验至关重要，这种说法不专业。'
-            }
-        },
-        tags: ['性能优化', '系统思维', '面试', '分类']
-    },
-    {
-        id: 32,
-        type: 'judge',
-        question: '面试中说"我会为所有组件使用React.memo"是好的回答。',
-        options: ['正确', '错误'],
-        answer: [1],
-        explanation: {
-            correct: '这是过度优化的错误示例。正确的说法：1) React.memo有成本（比较props）；2) 应该针对性使用（经常渲染、渲染成本高、props稳定的组件）；3) 过早优化不可取；4) 先测量，再优化。展示你理解trade-offs。',
-            wrong: {
-                0: '这显示不理解优化的成本和适用场景。面试中避免绝对化的表述。'
-            }
-        },
-        tags: ['React.memo', '过度优化', '面试', '权衡']
-    },
-    {
-        id: 33,
-        type: 'single',
-        question: '面试中被要求优化一个慢的列表组件，应该考虑什么？',
-        options: [
-            '立即说用React.memo',
-            '先问列表大小、更新频率，然后提出方案：虚拟化、分页、优化项组件',
-            '说用Vue更快',
-            '说React就是慢'
-        ],
-        answer: [1],
-        explanation: {
-            correct: '专业的分析过程：1) 了解问题（多少项、多久更新）；2) 诊断瓶颈（渲染次数、每次渲染时间）；3) 针对性方案：少量项优化单项渲染，大量项用虚拟化；4) 其他方案：分页、无限滚动。展示问题解决的系统方法。',
-            wrong: {
-                0: '不了解情况就给方案是不专业的。',
-                2: '贬低React显示不成熟。',
-                3: '问题通常是实现方式，不是React本身。'
-            }
-        },
-        tags: ['性能优化', '问题诊断', '列表优化', '面试']
-    },
-    {
-        id: 34,
-        type: 'multiple',
-        question: '面试中讨论性能优化时应该提到哪些工具？（多选）',
-        options: [
-            'React DevTools Profiler',
-            'Chrome DevTools Performance',
-            'Lighthouse',
-            'console.log'
-        ],
-        answer: [0, 1, 2],
-        explanation: {
-            correct: '选项A：React层面的性能分析。选项B：浏览器层面的性能分析。选项C：整体性能评分和建议。提到工具展示实际优化经验。',
-            wrong: {
-                3: 'console.log不是性能分析工具，且会影响性能。'
-            }
-        },
-        tags: ['性能优化', '工具', '面试', 'DevTools']
-    },
-    {
-        id: 35,
-        type: 'single',
-        question: '面试官问"如何处理大量数据的渲染"，最全面的回答是什么？',
-        options: [
-            '一次性渲染所有数据',
-            '讨论多种方案：虚拟化、分页、搜索过滤、懒加载，说明场景',
-            '说React做不到',
-            '只说分页'
-        ],
-        answer: [1],
-        explanation: {
-            correct: '全面的回答：1) 虚拟化（react-window）：渲染可见项；2) 分页：一次加载一页；3) 搜索/过滤：减少显示数量；4) 懒加载/无限滚动；5) Web Worker处理数据。说明每种方案的pros/cons和适用场景。',
-            wrong: {
-                0: '一次性渲染大量数据会导致严重性能问题。',
-                2: 'React完全可以处理，有多种方案。',
-                3: '只提分页太片面，应该展示多种解决方案。'
-            }
-        },
-        tags: ['大数据渲染', '性能优化', '多种方案', '面试']
-    },
-    {
-        id: 36,
-        type: 'judge',
-        question: '面试中应该主动提到Core Web Vitals和SEO优化。',
-        options: ['正确', '错误'],
-        answer: [0],
-        explanation: {
-            correct: '主动提到高级话题展示全面性：1) Core Web Vitals（LCP、FID/INP、CLS）影响搜索排名；2) React SPA的SEO挑战（SSR、SSG、预渲染）；3) 性能即用户体验也是SEO因素。即使面试官没问，主动提到能加分。',
-            wrong: {
-                1: '展示对现代Web开发全貌的理解能让你脱颖而出。'
-            }
-        },
-        tags: ['Core Web Vitals', 'SEO', '主动展示', '面试技巧']
-    },
-    {
-        id: 37,
-        type: 'single',
-        question: '面试中如何解释代码分割的好处？',
-        options: [
-            '只说减小bundle',
-            '全面说明：减小初始bundle、按需加载、改善首屏时间、更好的缓存',
-            '说没有好处',
-            '说只是流行'
-        ],
-        answer: [1],
-        explanation: {
-            correct: '完整的解释：1) 初始bundle更小，首屏加载更快；2) 路由级代码分割，用户只下载当前页面的代码；3) 组件级代码分割，模态框等按需加载；4) 更新代码时，未改变的chunk缓存仍有效。能举例说明实际效果更好。',
-            wrong: {
-                0: '太片面，没有展示全面理解。',
-                2: '代码分割有明显的性能收益。',
-                3: '不应该用"流行"来解释技术价值。'
-            }
-        },
-        tags: ['代码分割', '性能优化', '面试', '完整解释']
-    },
-    {
-        id: 38,
-        type: 'single',
-        question: '面试中提到useMemo时，应该强调什么？',
-        options: [
-            'useMemo可以解决所有性能问题',
-            'useMemo有成本，应该针对性使用，先测量再优化',
-            'useMemo已经过时',
-            '永远不用useMemo'
-        ],
-        answer: [1],
-        explanation: {
-            correct: '成熟的观点：1) useMemo有成本（内存、依赖比较）；2) 使用场景：昂贵计算、传给memo组件的props、其他Hook的依赖；3) 不要过早优化；4) 用Profiler测量效果。展示对优化的全面理解，不是盲目使用。',
-            wrong: {
-                0: 'useMemo不是万能的，过度使用有害。',
-                2: 'useMemo仍然是重要的优化工具。',
-                3: '有合适的使用场景，不应该完全避免。'
-            }
-        },
-        tags: ['useMemo', '性能优化', '权衡', '面试']
-    },
-    {
-        id: 39,
-        type: 'multiple',
-        question: '面试中谈到性能优化时，应该避免哪些说法？（多选）',
-        options: [
-            '"性能优化很简单"',
-            '"React很慢，需要大量优化"',
-            '"我从不担心性能"',
-            '"我会根据测量结果针对性优化"'
-        ],
-        answer: [0, 1, 2],
-        explanation: {
-            correct: '选项A：性能优化是复杂话题。选项B：React本身很快，问题通常是实现。选项C：忽视性能不专业。',
-            wrong: {
-                3: '这是正确的方法论，展示专业性。'
-            }
-        },
-        tags: ['性能优化', '面试', '避免误区', '表达']
-    },
-    {
-        id: 40,
-        type: 'single',
-        question: '面试中如果被问到"你做过的最有影响力的性能优化"，应该如何回答？',
-        options: [
-            '说没做过',
-            '讲一个具体案例：问题、分析、方案、结果（用数据说明）',
-            '说做了很多但不记得了',
-            '随便编一个'
-        ],
-        answer: [1],
-        explanation: {
-            correct: 'STAR方法（情境、任务、行动、结果）：1) 描述问题（页面加载慢、用户投诉）；2) 分析过程（用什么工具发现瓶颈）；3) 实施方案（代码分割、图片优化等）；4) 量化结果（加载时间从5s降到2s，用户满意度提升）。具体案例最有说服力。',
-            wrong: {
-                0: '没做过也可以说理论上会怎么做，不要完全放弃回答机会。',
-                2: '不记得核心工作成果显示不专业。',
-                3: '诚信很重要，不要编造经验。'
-            }
-        },
-        tags: ['项目经验', '性能优化', 'STAR方法', '面试技巧']
-    },
-
-    // 综合面试技巧 (41-50)
-    {
-        id: 41,
-        type: 'single',
-        question: '面试中遇到不会的问题，最好的策略是什么？',
-        options: [
-            '沉默',
-            '诚实承认，展示相关知识，表达学习意愿',
-            '编造答案',
-            '转移话题'
-        ],
-        answer: [1],
-        explanation: {
-            correct: '专业的处理方式：1) 诚实承认（"这个我不太熟悉"）；2) 展示相关知识（"但我知道类似的X..."）；3) 逻辑推理（"我猜测可能是..."）；4) 表达学习兴趣（"这很有意思，我会深入学习"）。展示思维能力和学习态度比答案本身更重要。',
-            wrong: {
-                0: '沉默错失展示能力的机会。',
-                2: '撒谎风险很大，被识破会严重减分。',
-                3: '不要主动转移话题，但可以引导到相关的熟悉领域。'
-            }
-        },
-        tags: ['面试技巧', '不会的问题', '诚实', '学习态度']
-    },
-    {
-        id: 42,
-        type: 'judge',
-        question: '面试中应该使用很多技术术语显示专业性。',
-        options: ['正确', '错误'],
-        answer: [1],
-        explanation: {
-            correct: '应该清晰表达，不要为了术语而术语：1) 确保术语使用正确；2) 适当解释复杂概念；3) 关注沟通清晰度，不是炫技；4) 根据面试官反应调整。过度使用术语可能显示缺乏真正理解或沟通能力差。',
-            wrong: {
-                0: '清晰沟通比堆砌术语更重要。能用简单语言解释复杂概念展示真正的理解。'
-            }
-        },
-        tags: ['沟通能力', '面试技巧', '术语使用', '表达']
-    },
-    {
-        id: 43,
-        type: 'multiple',
-        question: '技术面试的评估维度通常包括哪些？（多选）',
-        options: [
-            '技术知识的深度和广度',
-            '问题解决能力和思维方式',
-            '沟通和团队合作',
-            '穿着打扮'
-        ],
-        answer: [0, 1, 2],
-        explanation: {
-            correct: '选项A：硬技能。选项B：思维能力和方法论。选项C：软技能，同样重要。了解评估维度帮助你有针对性地展示能力。',
-            wrong: {
-                3: '虽然整洁得体重要，但不是技术面试的主要评估维度。'
-            }
-        },
-        tags: ['面试评估', '评估维度', '软技能', '硬技能']
-    },
-    {
-        id: 44,
-        type: 'single',
-        question: '面试中写代码遇到bug怎么办？',
-        options: [
-            '立即放弃',
-            '系统地调试：检查假设、添加日志、测试边界',
-            '假装没有bug',
-            '指责面试题有问题'
-        ],
-        answer: [1],
-        explanation: {
-            correct: '专业的调试过程：1) 冷静，不慌张；2) 重新检查逻辑；3) 添加console.log或注释追踪；4) 测试边界情况；5) 和面试官讨论思路。调试过程展示问题解决能力，比完美代码更有价值。',
-            wrong: {
-                0: '遇到困难放弃显示抗压能力差。',
-                2: '忽视明显的bug显示不专业。',
-                3: '不要指责面试官，保持专业。'
-            }
-        },
-        tags: ['调试', '问题解决', '面试', '抗压能力']
-    },
-    {
-        id: 45,
-        type: 'judge',
-        question: '面试中应该主动询问不明确的需求。',
-        options: ['正确', '错误'],
-        answer: [0],
-        explanation: {
-            correct: '主动提问展示专业性：1) 避免基于错误假设工作；2) 展示需求分析能力；3) 体现沟通主动性；4) 现实工作中也需要这个能力。好的问题：输入范围、边界情况、性能要求、错误处理。',
-            wrong: {
-                1: '基于不明确需求工作可能做无用功。主动提问是专业表现。'
-            }
-        },
-        tags: ['需求澄清', '提问', '面试技巧', '沟通']
-    },
-    {
-        id: 46,
-        type: 'single',
-        question: '面试中时间不够完成所有功能，应该怎么办？',
-        options: [
-            '慌乱地全部做完',
-            '优先实现核心功能，说明其他部分的思路',
-            '放弃',
-            '要求延长时间'
-        ],
-        answer: [1],
-        explanation: {
-            correct: '优先级管理：1) 快速评估任务；2) 先实现核心功能（MVP）；3) 保证核心部分质量；4) 向面试官说明："我先实现核心的X功能，Y功能思路是...，如果时间够会加上"。展示优先级判断和时间管理能力。',
-            wrong: {
-                0: '慌乱导致质量下降和更多错误。',
-                2: '不要放弃，部分完成好过完全放弃。',
-                3: '通常时间是固定的，应该展示在限制内工作的能力。'
-            }
-        },
-        tags: ['时间管理', '优先级', '面试技巧', '压力处理']
-    },
-    {
-        id: 47,
-        type: 'single',
-        question: '面试结束时，最好问面试官什么问题？',
-        options: [
-            '什么时候有结果',
-            '团队的技术栈、挑战、学习机会',
-            '能不能远程工作',
-            '不问任何问题'
-        ],
-        answer: [1],
-        explanation: {
-            correct: '好的问题展示你的兴趣和思考：1) 技术栈和架构；2) 团队规模和协作方式；3) 这个职位的主要挑战；4) 成长和学习机会；5) 代码review流程；6) 公司/团队的技术文化。避免敏感问题（薪水、假期在HR面谈）。',
-            wrong: {
-                0: '通常HR会告知，技术面问这个显示只关心结果不关心工作。',
-                2: '工作方式应该在HR面或offer阶段谈。',
-                3: '不问问题显示缺乏兴趣或准备不足。'
-            }
-        },
-        tags: ['面试提问', '职业发展', '面试技巧', '关注点']
-    },
-    {
-        id: 48,
-        type: 'multiple',
-        question: '准备React面试应该重点复习哪些方面？（多选）',
-        options: [
-            'Hooks的原理和最佳实践',
-            '性能优化技巧',
-            '常见问题和解决方案',
-            '只背诵面试题答案'
-        ],
-        answer: [0, 1, 2],
-        explanation: {
-            correct: '选项A：现代React的核心。选项B：高级话题，展示经验。选项C：实际工作中的问题解决能力。全面准备展示深度和广度。',
-            wrong: {
-                3: '背答案不能应对深入追问，应该理解原理。面试官能识别死记硬背。'
-            }
-        },
-        tags: ['面试准备', '复习重点', 'React', '学习方法']
-    },
-    {
-        id: 49,
-        type: 'judge',
-        question: '面试中展示过去的项目代码能加很多分。',
-        options: ['正确', '错误'],
-        answer: [0],
-        explanation: {
-            correct: '如果可以分享（不违反保密协议），展示代码很有价值：1) 证明实际能力；2) 引导讨论到你熟悉的领域；3) 展示代码质量和风格。可以准备：GitHub项目、个人博客、开源贡献。确保代码质量高、有文档。',
-            wrong: {
-                1: '实际代码是最好的能力证明。但注意保密协议，不要分享公司代码。'
-            }
-        },
-        tags: ['项目展示', 'GitHub', '作品集', '面试加分']
-    },
-    {
-        id: 50,
-        type: 'single',
-        question: '面试后最应该做什么？',
-        options: [
-            '等待结果',
-            '发感谢邮件，总结面试，反思改进',
-            '立即找下一家',
-            '忘掉这次面试'
-        ],
-        answer: [1],
-        explanation: {
-            correct: '面试后的跟进：1) 24小时内发感谢邮件（简短、专业、表达兴趣）；2) 总结面试中的问题和自己的表现；3) 记录不会的知识点，学习补充；4) 反思可以改进的地方。持续改进和专业的跟进都是职业素养的体现。',
-            wrong: {
-                0: '被动等待，错失反思和改进的机会。',
-                2: '应该先反思和学习，提升后再面试效果更好。',
-                3: '每次面试都是学习机会，应该总结经验。'
-            }
-        },
-        tags: ['面试后', '跟进', '总结反思', '持续改进']
-    }
-];
-
@@ -0,0 +1,440 @@
+// 答题引擎：管理一轮答题的状态、计分、导航和进度序列化，不依赖 DOM
+// 界面（QuizRenderer 或其他前端）通过 on() 订阅事件，再调用 answer()/next()/goTo() 等方法驱动答题：
+//   start     开始新一轮或恢复进度        { resumed }
+//   answer    提交了一道题的答案          { index, question, record }
+//   navigate  切换到另一道题              { index }
+//   complete  全部答完或交卷              { correctCount, totalScore, total, accuracy }
+
+// 多选题计分方式：全对才得分 / 按选对的正确选项比例得分 / 按比例得分且每个错选抵消一个选对的选项
+const MULTIPLE_SCORING_POLICIES = {
+    'all-or-nothing': '全对才得分',
+    'proportional': '按选对比例得分',
+    'penalty': '按比例得分，错选倒扣'
+};
+
+// 只认自身的键，避免 "toString"、"constructor" 这类原型上的属性被当成计分方式
+function isMultipleScoringPolicy(value) {
+    return typeof value === 'string' && Object.prototype.hasOwnProperty.call(MULTIPLE_SCORING_POLICIES, value);
+}
+
+// 浏览器中 QuizShuffle 是全局对象，在 Node 中按需加载
+const EngineShuffle = typeof QuizShuffle !== 'undefined' ? QuizShuffle : require('./shuffle.js');
+
+class QuizEngine {
+    constructor(questions, options = {}) {
+        // sourceQuestions 为题库原始顺序，questions 为本轮实际作答顺序（可能已乱序）
+        this.sourceQuestions = questions;
+        this.requestedShuffle = options.shuffle || null;
+        this.setShuffle(this.requestedShuffle);
+        this.stageId = options.stageId || 'quiz';
+        // 章节划分：{ stageId: [{ title, from, to }] }，用于按章节统计
+        this.sections = options.sections || {};
+        // 多选题计分方式，题目可以用自身的 scoring 字段单独指定
+        this.multipleScoring = isMultipleScoringPolicy(options.multipleScoring) ? options.multipleScoring : 'all-or-nothing';
+        // 考试模式：交卷前不公布对错，timeLimit 为限时秒数
+        this.mode = options.mode || 'practice';
+        this.timeLimit = options.timeLimit || 0;
+        // 进度存储：提供 get/set/remove 的对象（如 QuizStorage），不传则不保存进度
+        this.storage = options.storage || null;
+        this.sessionKey = 'react19_quiz_session_' + this.stageId;
+        this.bankVersion = this.getBankVersion();
+        this.listeners = {};
+        this.reset();
+    }
+
+    reset() {
+        this.currentIndex = 0;
+        this.answers = [];
+        this.correctCount = 0;
+        this.deadline = null;
+        this.startedAt = null;
+    }
+
+    setShuffle(shuffle) {
+        this.shuffle = shuffle;
+        this.questions = shuffle ? EngineShuffle.apply(this.sourceQuestions, shuffle) : this.sourceQuestions;
+    }
+
+    isExam() {
+        return this.mode === 'exam';
+    }
+
+    // ===== 事件 =====
+
+    // 返回取消订阅的函数
+    on(event, handler) {
+        (this.listeners[event] = this.listeners[event] || []).push(handler);
+        return () => this.off(event, handler);
+    }
+
+    off(event, handler) {
+        this.listeners[event] = (this.listeners[event] || []).filter(item => item !== handler);
+    }
+
+    emit(event, payload = {}) {
+        (this.listeners[event] || []).forEach(handler => handler(payload));
+    }
+
+    // ===== 状态 =====
+
+    getCurrentQuestion() {
+        return this.questions[this.currentIndex] || null;
+    }
+
+    getRecord(index) {
+        return this.answers.find(a => a.questionIndex === index) || null;
+    }
+
+    isFinished() {
+        return this.currentIndex >= this.questions.length;
+    }
+
+    getQuestionStatus(index) {
+        const record = this.getRecord(index);
+        if (!record) return 'unanswered';
+        // 考试模式交卷前不公布对错
+        if (this.isExam() && !this.isFinished()) return 'answered';
+        if (record.correct) return 'correct';
+        return this.getRecordScore(record) > 0 ? 'partial' : 'incorrect';
+    }
+
+    // accuracy 按已答题目计算；完成后的成绩见 getSummary
+    getStats() {
+        const totalScore = this.getTotalScore();
+        return {
+            answered: this.answers.length,
+            total: this.questions.length,
+            correctCount: this.correctCount,
+            totalScore,
+            accuracy: this.answers.length > 0 ? Math.round((totalScore / this.answers.length) * 100) : 0
+        };
+    }
+
+    // 整轮成绩：未作答的题目按 0 分计入
+    getSummary() {
+        const totalScore = this.getTotalScore();
+        return {
+            correctCount: this.correctCount,
+            totalScore,
+            total: this.questions.length,
+            accuracy: Math.round((totalScore / this.questions.length) * 100)
+        };
+    }
+
+    // 可序列化的状态快照，供界面渲染或调试使用
+    getState() {
+        return {
+            stageId: this.stageId,
+            mode: this.mode,
+            currentIndex: this.currentIndex,
+            finished: this.isFinished(),
+            deadline: this.deadline,
+            shuffle: this.shuffle,
+            multipleScoring: this.multipleScoring,
+            answers: this.answers.map(record => ({ ...record })),
+            stats: this.getStats()
+        };
+    }
+
+    // 混合多个阶段的练习中，题目自带 stageId；普通阶段练习沿用当前阶段
+    getQuestionStageId(question) {
+        return question.stageId || this.stageId;
+    }
+
+    // 跨阶段唯一的题目标识，错题本和复习计划都以它为键
+    getQuestionKey(question) {
+        return `${this.getQuestionStageId(question)}:${question.id}`;
+    }
+
+    // ===== 开始与进度持久化 =====
+
+    // deadline 为绝对时间戳，只有限时考试才会设置；startedAt 用于计算整轮用时
+    start(shuffle = this.requestedShuffle) {
+        this.clearSession();
+        this.setShuffle(shuffle);
+        this.reset();
+        this.startedAt = Date.now();
+        if (this.isExam() && this.timeLimit) {
+            this.deadline = Date.now() + this.timeLimit * 1000;
+        }
+        this.emit('start', { resumed: false });
+    }
+
+    // 根据题库内容生成版本指纹，题库有任何改动时旧的答题记录自动失效
+    getBankVersion() {
+        const text = JSON.stringify(this.sourceQuestions);
+        let hash = 5381;
+        for (let i = 0; i < text.length; i++) {
+            hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+        }
+        return (hash >>> 0).toString(36);
+    }
+
+    serialize() {
+        return {
+            version: this.bankVersion,
+            currentIndex: this.currentIndex,
+            answers: this.answers,
+            correctCount: this.correctCount,
+            deadline: this.deadline,
+            startedAt: this.startedAt,
+            shuffle: this.shuffle,
+            savedAt: new Date().toISOString()
+        };
+    }
+
+    isValidSession(saved) {
+        return Boolean(saved)
+            && saved.version === this.bankVersion
+            && Array.isArray(saved.answers)
+            && saved.answers.length > 0
+            && saved.currentIndex < this.questions.length;
+    }
+
+    restore(saved) {
+        // 以保存时的乱序种子为准，保证恢复后题目顺序一致
+        this.setShuffle(saved.shuffle || null);
+        this.currentIndex = saved.currentIndex;
+        this.answers = saved.answers;
+        this.correctCount = saved.correctCount;
+        this.deadline = saved.deadline || null;
+        this.startedAt = saved.startedAt || null;
+        this.emit('start', { resumed: true });
+    }
+
+    saveSession() {
+        if (!this.storage) return;
+        this.storage.set(this.sessionKey, this.serialize());
+    }
+
+    // 返回可以恢复的进度；无效的旧进度直接清除
+    loadSession() {
+        if (!this.storage) return null;
+        const saved = this.storage.get(this.sessionKey);
+        if (!saved) return null;
+
+        if (!this.isValidSession(saved)) {
+            this.clearSession();
+            return null;
+        }
+        return saved;
+    }
+
+    clearSession() {
+        if (!this.storage) return;
+        this.storage.remove(this.sessionKey);
+    }
+
+    // ===== 作答与导航 =====
+
+    // 提交当前题目的答案，selected 的结构随题型而定（见 getAnswerScore）；同一题只记录第一次提交
+    answer(selected) {
+        const question = this.getCurrentQuestion();
+        if (!question) return null;
+        const existing = this.getRecord(this.currentIndex);
+        if (existing) return existing;
+
+        // score 为 0-1 的得分，排序、配对和多选题可能得部分分
+        const score = this.getAnswerScore(question, selected);
+        const record = {
+            questionIndex: this.currentIndex,
+            selected,
+            correct: score === 1,
+            score
+        };
+        this.answers.push(record);
+        if (record.correct) {
+            this.correctCount++;
+        }
+
+        this.saveSession();
+        this.emit('answer', { index: this.currentIndex, question, record });
+        return record;
+    }
+
+    // 超出范围时返回 false
+    goTo(index) {
+        if (index < 0 || index >= this.questions.length) return false;
+
+        this.currentIndex = index;
+        this.saveSession();
+        this.emit('navigate', { index });
+        return true;
+    }
+
+    previous() {
+        return this.goTo(this.currentIndex - 1);
+    }
+
+    // 最后一题之后进入完成状态
+    next() {
+        if (this.currentIndex + 1 < this.questions.length) {
+            return this.goTo(this.currentIndex + 1);
+        }
+        this.finish();
+        return false;
+    }
+
+    // 完成或交卷：清除保存的进度，未作答的题目不再计分
+    finish() {
+        this.currentIndex = this.questions.length;
+        this.deadline = null;
+        this.clearSession();
+        this.emit('complete', this.getSummary());
+    }
+
+    // 从开始作答到 now 的秒数，中途离开页面的时间也计算在内；旧进度中没有开始时间时返回 null
+    getElapsedSeconds(now = Date.now()) {
+        if (this.startedAt === null) return null;
+        return Math.max(0, Math.round((now - this.startedAt) / 1000));
+    }
+
+    // 剩余秒数；没有限时返回 null
+    getRemainingSeconds(now = Date.now()) {
+        if (this.deadline === null) return null;
+        return Math.max(0, Math.ceil((this.deadline - now) / 1000));
+    }
+
+    // ===== 计分 =====
+
+    // 需要用户输入答案的题目：填空题，以及不提供选项的输出预测题
+    // 这类题目的作答记录 selected 保存输入的文字（填空题每个空一项），而不是选项序号
+    isTextAnswer(question) {
+        return question.type === 'fill' || (question.type === 'predict' && !question.options);
+    }
+
+    // 比较输出时忽略空白、换行和逗号的差异，只比较各条输出的顺序和内容
+    normalizeOutput(text) {
+        return String(text).split(/[\s,，]+/).filter(Boolean).join(' ');
+    }
+
+    // 单题得分（0-1）：排序题按放对位置的比例计分，配对题按配对正确的比例计分，
+    // 多选题按 getMultipleScoring 的计分方式，其余题型答对得 1 分
+    getAnswerScore(question, selected) {
+        if (question.type === 'match') {
+            const hits = question.answer.filter((target, index) => selected[index] === target).length;
+            return hits / question.answer.length;
+        }
+        if (question.type === 'order') {
+            const hits = question.answer.filter((optionIndex, position) => selected[position] === optionIndex).length;
+            return hits / question.answer.length;
+        }
+        if (question.type === 'multiple') {
+            return this.scoreMultiple(question, selected);
+        }
+        return this.isAnswerCorrect(question, selected) ? 1 : 0;
+    }
+
+    getMultipleScoring(question) {
+        return isMultipleScoringPolicy(question.scoring) ? question.scoring : this.multipleScoring;
+    }
+
+    scoreMultiple(question, selected) {
+        if (this.isAnswerCorrect(question, selected)) return 1;
+
+        const hits = selected.filter(index => question.answer.includes(index)).length;
+        const wrongPicks = selected.length - hits;
+        switch (this.getMultipleScoring(question)) {
+            // 分母取正确选项数与所选项数中较大的一个，避免全选也能拿满分
+            case 'proportional':
+                return hits / Math.max(question.answer.length, selected.length);
+            case 'penalty':
+                return Math.max(0, hits - wrongPicks) / question.answer.length;
+            default:
+                return 0;
+        }
+    }
+
+    // 兼容没有 score 字段的旧记录
+    getRecordScore(record) {
+        return record.score !== undefined ? record.score : (record.correct ? 1 : 0);
+    }
+
+    getTotalScore(answers = this.answers) {
+        return answers.reduce((sum, record) => sum + this.getRecordScore(record), 0);
+    }
+
+    // 去掉首尾空白，并把连续空白视为一个空格
+    collapseBlank(text) {
+        return String(text).trim().replace(/\s+/g, ' ');
+    }
+
+    // 文字答案还忽略大小写
+    normalizeBlank(text) {
+        return this.collapseBlank(text).toLowerCase();
+    }
+
+    // answer[i] 为第 i 个空的可接受答案列表，每一项是字符串或 { pattern, flags } 正则
+    // 正则会自动匹配整个输入（首尾加锚点），flags 默认为 'i'；空白与文字答案一样先合并，大小写交给 flags
+    isBlankCorrect(question, blankIndex, value) {
+        const accepted = question.answer[blankIndex] || [];
+        const input = this.normalizeBlank(value);
+        if (input === '') return false;
+
+        return accepted.some(item => {
+            if (typeof item === 'string') {
+                return this.normalizeBlank(item) === input;
+            }
+            return new RegExp(`^(?:${item.pattern})$`, item.flags === undefined ? 'i' : item.flags).test(this.collapseBlank(value));
+        });
+    }
+
+    // 展示用的参考答案：优先取第一个字符串答案
+    getBlankAnswerText(accepted) {
+        const text = accepted.find(item => typeof item === 'string');
+        return text !== undefined ? text : accepted[0].pattern;
+    }
+
+    isAnswerCorrect(question, selected) {
+        if (question.type === 'fill') {
+            return question.answer.every((_, index) => this.isBlankCorrect(question, index, selected[index] || ''));
+        }
+        if (this.isTextAnswer(question)) {
+            const output = this.normalizeOutput(selected[0] || '');
+            return output !== '' && question.answer.some(answer => this.normalizeOutput(answer) === output);
+        }
+        if (question.type === 'order' || question.type === 'match') {
+            return JSON.stringify(selected) === JSON.stringify(question.answer);
+        }
+        if (question.type === 'multiple') {
+            const sortedSelected = [...selected].sort();
+            const sortedCorrect = [...question.answer].sort();
+            return JSON.stringify(sortedSelected) === JSON.stringify(sortedCorrect);
+        }
+        return selected[0] === question.answer[0];
+    }
+
+    // ===== 掌握情况统计 =====
+
+    getQuestionSection(question) {
+        const sections = this.sections[this.getQuestionStageId(question)] || [];
+        const section = sections.find(s => question.id >= s.from && question.id <= s.to);
+        return section ? `${section.title} (${section.from}-${section.to})` : null;
+    }
+
+    // 按分组统计题数和得分，getGroups 返回题目所属的分组名（一道题可属于多个分组）
+    buildBreakdown(getGroups) {
+        const groups = new Map();
+        this.questions.forEach((question, index) => {
+            const record = this.getRecord(index);
+            getGroups(question).forEach(name => {
+                const group = groups.get(name) || { name, total: 0, correct: 0 };
+                group.total++;
+                // 部分得分按得分计入，统计结果保留一位小数
+                if (record) {
+                    group.correct += this.getRecordScore(record);
+                }
+                groups.set(name, group);
+            });
+        });
+        return [...groups.values()].map(group => ({
+            ...group,
+            correct: Math.round(group.correct * 10) / 10,
+            accuracy: Math.round((group.correct / group.total) * 100)
+        }));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { QuizEngine, MULTIPLE_SCORING_POLICIES, isMultipleScoringPolicy };
+}
@@ -0,0 +1,38 @@
+// 阶段练习页面：quiz.html?stage=part3 按地址栏中的阶段加载题库并开始练习
+function getStageFromUrl() {
+    return new URLSearchParams(window.location.search).get('stage') || StageRegistry.getIds()[0];
+}
+
+function renderStageNav(stageId) {
+    const { previous, next } = StageRegistry.getNeighbors(stageId);
+    const link = (stage, text) => `<a href="?stage=${encodeURIComponent(stage.id)}" class="stage-nav-link">${text}</a>`;
+    document.getElementById('stage-nav').innerHTML = `
+        ${previous ? link(previous, `← ${StageRegistry.getLabel(previous)}`) : '<span></span>'}
+        ${next ? link(next, `${StageRegistry.getLabel(next)} →`) : '<span></span>'}
+    `;
+}
+
+function initQuizPage() {
+    const stageId = getStageFromUrl();
+    const stage = StageRegistry.get(stageId);
+    const container = document.getElementById('question-container');
+    container.innerHTML = '<p class="loading-text">正在加载题库…</p>';
+
+    if (stage) {
+        const label = StageRegistry.getLabel(stage);
+        document.title = `${label} - React 19 问答系统`;
+        document.querySelector('.quiz-title').textContent = label;
+        document.getElementById('shuffle-link').href = `?stage=${encodeURIComponent(stageId)}&shuffle=all`;
+        renderStageNav(stageId);
+    }
+
+    return BankLoader.load(stageId).then(bank => {
+        initQuiz(bank.questions, bank.name, {
+            stageId: bank.stageId,
+            sections: { [bank.stageId]: bank.sections }
+        });
+    }, error => {
+        document.querySelector('.quiz-stats').hidden = true;
+        renderBankError(container, [error.message]);
+    });
+}
@@ -0,0 +1,1261 @@
+// 答题界面渲染：订阅 QuizEngine 的事件生成题目、反馈和完成页，并把用户操作转成对引擎的调用
+// 页面元素由调用方传入，渲染器只在 container 内部查找自己生成的元素
+class QuizRenderer {
+    // elements: { container, answeredCount, totalCount, accuracy, statsBar }，除 container 外都可以省略
+    constructor(engine, elements) {
+        this.engine = engine;
+        this.elements = elements;
+        this.container = elements.container;
+        this.mapExpanded = false;
+        this.timerId = null;
+
+        // 保存取消订阅的函数和键盘监听，destroy() 时一并移除
+        this.unsubscribers = [
+            engine.on('start', () => {
+                this.renderQuestion();
+                this.updateStats();
+                this.startTimer();
+            }),
+            engine.on('navigate', () => {
+                this.renderQuestion();
+                this.updateStats();
+                window.scrollTo({ top: 0, behavior: 'smooth' });
+            }),
+            engine.on('answer', ({ index, question, record }) => this.handleAnswer(index, question, record)),
+            engine.on('complete', summary => {
+                this.stopTimer();
+                this.updateStats();
+                this.showCompletion(summary);
+            })
+        ];
+        this.handleDocumentKeydown = event => this.handleKeydown(event);
+        document.addEventListener('keydown', this.handleDocumentKeydown);
+    }
+
+    // 同一个容器重新开始一轮答题前调用，避免旧的渲染器继续响应快捷键和引擎事件
+    destroy() {
+        this.stopTimer();
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        document.removeEventListener('keydown', this.handleDocumentKeydown);
+    }
+
+    find(selector) {
+        return this.container.querySelector(selector);
+    }
+
+    findAll(selector) {
+        return this.container.querySelectorAll(selector);
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // 题库文本支持 `行内代码` 和 ``` 代码块，其余内容仍然转义
+    formatText(text) {
+        return QuizMarkup.render(text);
+    }
+
+    getOptionLabel(index) {
+        return String.fromCharCode(65 + index);
+    }
+
+    getTypeText(type) {
+        const typeMap = {
+            'single': '单选题',
+            'multiple': '多选题',
+            'judge': '判断题',
+            'predict': '输出预测',
+            'fill': '填空题',
+            'order': '排序题',
+            'match': '配对题'
+        };
+        return typeMap[type] || '未知';
+    }
+
+    restart(shuffle) {
+        this.engine.start(shuffle);
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    }
+
+    renderResumePrompt(saved) {
+        const engine = this.engine;
+        const accuracy = Math.round((engine.getTotalScore(saved.answers) / saved.answers.length) * 100);
+        const savedAt = new Date(saved.savedAt).toLocaleString('zh-CN');
+        // 考试模式交卷前不透露正确率，改为提示考试时间仍在计算
+        const summary = engine.isExam()
+            ? '，考试计时不会暂停'
+            : `，正确率 ${accuracy}%`;
+
+        this.container.innerHTML = `
+            <div class="resume-card">
+                <div class="resume-icon">📌</div>
+                <h2 class="resume-title">发现未完成的答题记录</h2>
+                <p class="resume-text">
+                    上次答到第 ${saved.currentIndex + 1} 题，已答 ${saved.answers.length}/${engine.questions.length} 题${summary}
+                </p>
+                <p class="resume-time">保存于 ${savedAt}</p>
+                <div class="completion-buttons">
+                    <button class="completion-button primary-button" id="resume-button">继续上次进度</button>
+                    <button class="completion-button secondary-button" id="start-over-button">重新开始</button>
+                </div>
+            </div>
+        `;
+
+        this.find('#resume-button').addEventListener('click', () => engine.restore(saved));
+        this.find('#start-over-button').addEventListener('click', () => this.restart());
+    }
+
+    // ===== 考试计时 =====
+
+    startTimer() {
+        if (this.engine.deadline === null) return;
+
+        this.stopTimer();
+        this.timerId = setInterval(() => this.tick(), 1000);
+        this.tick();
+    }
+
+    stopTimer() {
+        clearInterval(this.timerId);
+        this.timerId = null;
+    }
+
+    tick() {
+        const remaining = this.engine.getRemainingSeconds();
+        const timer = this.getTimerElement();
+        const minutes = String(Math.floor(remaining / 60)).padStart(2, '0');
+        const seconds = String(remaining % 60).padStart(2, '0');
+
+        if (timer) {
+            timer.textContent = `${minutes}:${seconds}`;
+            timer.classList.toggle('warning', remaining <= 60);
+        }
+
+        if (remaining === 0) {
+            this.engine.finish();
+        }
+    }
+
+    getTimerElement() {
+        const statsBar = this.elements.statsBar;
+        if (!statsBar) return null;
+
+        let timer = statsBar.querySelector('.exam-timer');
+        if (!timer) {
+            statsBar.insertAdjacentHTML('afterbegin', `
+                <div class="stat-item">
+                    <div class="stat-label">剩余时间</div>
+                    <div class="stat-value exam-timer"></div>
+                </div>
+            `);
+            timer = statsBar.querySelector('.exam-timer');
+        }
+        return timer;
+    }
+
+    // ===== 题目 =====
+
+    renderQuestion() {
+        const engine = this.engine;
+        const question = engine.getCurrentQuestion();
+        if (!question) return;
+
+        const record = engine.getRecord(engine.currentIndex);
+
+        this.container.innerHTML = `
+            ${this.renderQuestionMap()}
+
+            <div class="question-card">
+                <div class="question-header">
+                    <div class="question-meta">
+                        <span class="question-number">第 ${engine.currentIndex + 1} 题</span>
+                        <span class="question-type">${this.getTypeText(question.type)}</span>
+                    </div>
+                    <div class="question-tags">
+                        ${question.tags.map(tag => `<a class="tag" href="tags.html?tag=${encodeURIComponent(tag)}" title="练习「${this.escapeHtml(tag)}」相关题目">${this.escapeHtml(tag)}</a>`).join('')}
+                    </div>
+                    <div class="question-text">${question.type === 'fill' ? this.renderBlanks(question.question) : this.formatText(question.question)}</div>
+                    ${question.code ? QuizMarkup.renderCodeBlock(question.code, 'jsx') : ''}
+                </div>
+
+                ${this.renderAnswerArea(question, record)}
+
+                <div id="feedback-area"></div>
+
+                <div class="navigation-buttons">
+                    <button class="nav-button secondary-nav-button" id="prev-button" ${engine.currentIndex === 0 ? 'disabled' : ''}>
+                        ← 上一题
+                    </button>
+                    ${engine.isExam() ? '<button class="nav-button secondary-nav-button" id="submit-exam-button">提前交卷</button>' : ''}
+                    <button class="nav-button next-button" id="next-button" disabled>
+                        ${this.getNextButtonText()} →
+                    </button>
+                </div>
+                <p class="shortcut-hint">⌨️ 按 <kbd>?</kbd> 查看键盘快捷键</p>
+            </div>
+        `;
+
+        this.attachNavigationListeners();
+
+        // 回看或恢复进度时，已作答的题目只读展示作答结果
+        if (record) {
+            this.showAnsweredState(record);
+        } else if (engine.isExam()) {
+            this.attachExamListeners();
+        } else {
+            this.attachOptionListeners();
+        }
+    }
+
+    // 作答区域：选项列表、输出输入框或排序列表（填空题的输入框在题干中）
+    renderAnswerArea(question, record) {
+        if (question.type === 'fill') {
+            return '';
+        }
+        if (this.engine.isTextAnswer(question)) {
+            return '<textarea class="answer-input" rows="4" placeholder="按输出顺序填写，每行一条"></textarea>';
+        }
+        if (question.type === 'order') {
+            // 已作答的排序题按用户提交的顺序展示
+            return this.renderOrderList(question, record ? record.selected : question.options.map((_, index) => index));
+        }
+        if (question.type === 'match') {
+            return this.renderMatchBoard(question);
+        }
+        return `
+            <ul class="options-list" id="options-list">
+                ${question.options.map((option, index) => `
+                    <li class="option-item" data-index="${index}">
+                        <span class="option-label">${this.getOptionLabel(index)}</span>
+                        <span class="option-text">${this.formatText(option)}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    // ===== 题目导航 =====
+
+    renderQuestionMap() {
+        const engine = this.engine;
+        return `
+            <div class="question-map">
+                <button class="question-map-toggle ${this.mapExpanded ? 'active' : ''}" id="question-map-toggle">
+                    <span>🗺️ 题目导航</span>
+                    <span class="arrow">▼</span>
+                </button>
+                <div class="question-map-body" ${this.mapExpanded ? '' : 'hidden'}>
+                    <div class="question-map-grid">
+                        ${engine.questions.map((question, index) => `
+                            <button class="map-cell ${engine.getQuestionStatus(index)} ${index === engine.currentIndex ? 'current' : ''}" data-index="${index}">
+                                ${index + 1}
+                            </button>
+                        `).join('')}
+                    </div>
+                    <div class="question-map-legend">
+                        ${engine.isExam()
+                            ? '<span class="map-cell answered"></span>已作答'
+                            : '<span class="map-cell correct"></span>答对 <span class="map-cell partial"></span>部分正确 <span class="map-cell incorrect"></span>答错'}
+                        <span class="map-cell unanswered"></span>未作答
+                        <span class="map-cell current"></span>当前
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    attachNavigationListeners() {
+        const engine = this.engine;
+        const mapToggle = this.find('#question-map-toggle');
+        mapToggle.addEventListener('click', () => {
+            this.mapExpanded = !this.mapExpanded;
+            mapToggle.classList.toggle('active', this.mapExpanded);
+            mapToggle.nextElementSibling.hidden = !this.mapExpanded;
+        });
+
+        this.findAll('.question-map .map-cell[data-index]').forEach(cell => {
+            cell.addEventListener('click', () => engine.goTo(parseInt(cell.dataset.index)));
+        });
+
+        this.find('#prev-button').addEventListener('click', () => engine.previous());
+
+        const submitButton = this.find('#submit-exam-button');
+        if (submitButton) {
+            submitButton.addEventListener('click', () => {
+                const unanswered = engine.questions.length - engine.answers.length;
+                if (unanswered === 0 || confirm(`还有 ${unanswered} 题未作答，确定交卷吗？`)) {
+                    engine.finish();
+                }
+            });
+        }
+    }
+
+    refreshMapCell(index) {
+        const cell = this.find(`.question-map .map-cell[data-index="${index}"]`);
+        if (cell) {
+            cell.className = `map-cell ${this.engine.getQuestionStatus(index)} ${index === this.engine.currentIndex ? 'current' : ''}`;
+        }
+    }
+
+    // ===== 键盘快捷键 =====
+
+    // 快捷键都转成对页面元素的点击，复用鼠标操作的流程（单选、判断题选择后仍自动提交）
+    handleKeydown(event) {
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+        if (event.target.closest('input, select, textarea')) return;
+
+        const key = event.key.toLowerCase();
+        if (key === '?') {
+            this.toggleShortcutHelp();
+            return;
+        }
+        if (key === 'escape') {
+            this.toggleShortcutHelp(false);
+            return;
+        }
+
+        // 只在题目页面响应答题快捷键，完成页和继续进度的提示页没有下一题按钮
+        const nextButton = this.find('#next-button');
+        if (!nextButton) return;
+
+        let optionIndex = -1;
+        if (/^[a-d]$/.test(key)) {
+            optionIndex = key.charCodeAt(0) - 97;
+        } else if (/^[1-9]$/.test(key)) {
+            optionIndex = parseInt(key) - 1;
+        }
+
+        if (optionIndex >= 0) {
+            // 排序、配对和输入类题目没有可选的选项
+            const options = this.findAll('#options-list .option-item');
+            if (options.length === 0) return;
+            if (optionIndex < options.length) {
+                options[optionIndex].click();
+            }
+        } else if (key === 'enter') {
+            // 焦点在按钮或链接上时交给浏览器默认行为，避免重复触发
+            if (event.target.closest('button, a')) return;
+            if (!nextButton.disabled) {
+                nextButton.click();
+            }
+        } else if (key === 'arrowleft') {
+            this.engine.previous();
+        } else if (key === 'arrowright') {
+            this.engine.goTo(this.engine.currentIndex + 1);
+        } else if (key === 'e') {
+            const toggle = this.find('.explanation-toggle');
+            if (toggle) {
+                toggle.click();
+            }
+        } else {
+            return;
+        }
+        event.preventDefault();
+    }
+
+    toggleShortcutHelp(show) {
+        let overlay = document.getElementById('shortcut-overlay');
+        if (!overlay) {
+            if (show === false) return;
+            document.body.insertAdjacentHTML('beforeend', `
+                <div class="shortcut-overlay" id="shortcut-overlay" hidden>
+                    <div class="shortcut-dialog">
+                        <h2 class="shortcut-title">⌨️ 键盘快捷键</h2>
+                        <ul class="shortcut-list">
+                            <li><span><kbd>A</kbd>–<kbd>D</kbd> / <kbd>1</kbd>–<kbd>4</kbd></span>选择选项</li>
+                            <li><span><kbd>Enter</kbd></span>确认多选题答案 / 下一题</li>
+                            <li><span><kbd>←</kbd> <kbd>→</kbd></span>上一题 / 下一题</li>
+                            <li><span><kbd>↑</kbd> <kbd>↓</kbd></span>移动排序题中选中的条目</li>
+                            <li><span><kbd>E</kbd></span>展开 / 收起解析</li>
+                            <li><span><kbd>?</kbd></span>显示 / 隐藏本帮助</li>
+                            <li><span><kbd>Esc</kbd></span>关闭本帮助</li>
+                        </ul>
+                        <p class="shortcut-note">单选题和判断题选择后自动提交答案；填空题在输入框中按 <kbd>Enter</kbd> 确认</p>
+                    </div>
+                </div>
+            `);
+            overlay = document.getElementById('shortcut-overlay');
+            overlay.addEventListener('click', event => {
+                if (event.target === overlay) {
+                    this.toggleShortcutHelp(false);
+                }
+            });
+        }
+        overlay.hidden = show === undefined ? !overlay.hidden : !show;
+    }
+
+    getNextButtonText() {
+        const isLast = this.engine.currentIndex === this.engine.questions.length - 1;
+        if (this.engine.isExam()) {
+            return isLast ? '交卷' : '下一题';
+        }
+        return isLast ? '查看结果' : '下一题';
+    }
+
+    // ===== 作答 =====
+
+    // 练习模式提交答案后，确认按钮变为下一题
+    showNextButton() {
+        const nextButton = this.find('#next-button');
+        nextButton.disabled = false;
+        nextButton.onclick = () => this.engine.next();
+        nextButton.textContent = `${this.getNextButtonText()} →`;
+    }
+
+    showAnsweredState(record) {
+        const question = this.engine.getCurrentQuestion();
+
+        this.findAll('#options-list .option-item').forEach((option, index) => {
+            if (record.selected.includes(index)) {
+                option.classList.add('selected');
+            }
+        });
+        this.getAnswerInputs().forEach((input, index) => {
+            input.value = record.selected[index] || '';
+        });
+        if (question.type === 'match') {
+            this.updateMatchBoard(record.selected);
+        }
+        this.lockAnswerArea();
+        if (!this.engine.isExam()) {
+            this.showFeedback(question, record);
+        }
+        this.showNextButton();
+    }
+
+    handleAnswer(index, question, record) {
+        // 显示结果反馈（考试模式交卷后统一展示）
+        if (!this.engine.isExam()) {
+            this.showFeedback(question, record);
+        }
+        this.lockAnswerArea();
+        this.updateStats();
+        this.refreshMapCell(index);
+    }
+
+    lockAnswerArea() {
+        this.findAll('#options-list .option-item').forEach(option => option.classList.add('disabled'));
+        this.getAnswerInputs().forEach(input => {
+            input.disabled = true;
+        });
+        this.lockOrderList();
+        this.lockMatchBoard();
+    }
+
+    getAnswerInputs() {
+        return this.findAll('.question-card .answer-input');
+    }
+
+    // ===== 排序题 =====
+
+    // sequence 为当前展示顺序，每一项是选项序号；answer 为正确顺序
+    renderOrderList(question, sequence) {
+        return `
+            <ol class="order-list" id="order-list">
+                ${sequence.map(index => `
+                    <li class="order-item" data-index="${index}" tabindex="0">
+                        <span class="order-handle" title="拖动调整顺序">⠿</span>
+                        <span class="option-label">${this.getOptionLabel(index)}</span>
+                        <span class="option-text">${this.formatText(question.options[index])}</span>
+                        <span class="order-buttons">
+                            <button class="order-move" data-offset="-1" aria-label="上移">▲</button>
+                            <button class="order-move" data-offset="1" aria-label="下移">▼</button>
+                        </span>
+                    </li>
+                `).join('')}
+            </ol>
+            <p class="answer-hint">拖动条目，或选中条目后按 <kbd>↑</kbd> <kbd>↓</kbd> 调整顺序</p>
+        `;
+    }
+
+    getOrderSequence() {
+        return [...this.findAll('#order-list .order-item')].map(item => parseInt(item.dataset.index));
+    }
+
+    moveOrderItem(item, offset) {
+        const list = item.parentElement;
+        const sibling = offset < 0 ? item.previousElementSibling : item.nextElementSibling;
+        if (!sibling || list.classList.contains('locked')) return;
+        list.insertBefore(item, offset < 0 ? sibling : sibling.nextElementSibling);
+    }
+
+    // 拖动用 Pointer Events 实现，鼠标和触屏共用一套逻辑
+    // 触屏只能从拖动手柄开始拖动，避免影响页面滚动
+    startOrderDrag(item, event) {
+        const list = item.parentElement;
+        if (list.classList.contains('locked') || event.target.closest('button')) return;
+        if (event.pointerType !== 'mouse' && !event.target.closest('.order-handle')) return;
+
+        event.preventDefault();
+        item.setPointerCapture(event.pointerId);
+        item.classList.add('dragging');
+
+        const handleMove = moveEvent => {
+            const before = [...list.children].find(other => {
+                if (other === item) return false;
+                const rect = other.getBoundingClientRect();
+                return moveEvent.clientY < rect.top + rect.height / 2;
+            });
+            if (before !== item.nextElementSibling) {
+                list.insertBefore(item, before || null);
+            }
+        };
+        const handleEnd = () => {
+            item.classList.remove('dragging');
+            item.removeEventListener('pointermove', handleMove);
+            item.removeEventListener('pointerup', handleEnd);
+            item.removeEventListener('pointercancel', handleEnd);
+        };
+
+        item.addEventListener('pointermove', handleMove);
+        item.addEventListener('pointerup', handleEnd);
+        item.addEventListener('pointercancel', handleEnd);
+    }
+
+    // 排序题任何顺序都是有效答案，点击按钮即提交当前顺序
+    watchOrderList(onSubmit) {
+        const nextButton = this.find('#next-button');
+
+        this.findAll('#order-list .order-item').forEach(item => {
+            item.addEventListener('pointerdown', event => this.startOrderDrag(item, event));
+            item.querySelectorAll('.order-move').forEach(button => {
+                button.addEventListener('click', () => {
+                    this.moveOrderItem(item, parseInt(button.dataset.offset));
+                    button.focus();
+                });
+            });
+            item.addEventListener('keydown', event => {
+                if (event.target !== item || (event.key !== 'ArrowUp' && event.key !== 'ArrowDown')) return;
+                event.preventDefault();
+                this.moveOrderItem(item, event.key === 'ArrowUp' ? -1 : 1);
+                item.focus();
+            });
+        });
+
+        nextButton.disabled = false;
+        nextButton.onclick = () => onSubmit(this.getOrderSequence());
+    }
+
+    lockOrderList() {
+        const list = this.find('#order-list');
+        if (!list) return;
+        list.classList.add('locked');
+        list.querySelectorAll('.order-move').forEach(button => {
+            button.disabled = true;
+        });
+    }
+
+    // 解析中按正确顺序列出每一步，并标出用户放错的位置
+    renderOrderSolution(question, sequence) {
+        return `
+            <ol class="order-solution">
+                ${question.answer.map((index, position) => {
+                    const placed = sequence[position];
+                    const status = sequence.length === 0 ? '' : placed === index ? 'correct' : 'incorrect';
+                    return `
+                        <li class="${status}">
+                            ${this.getOptionLabel(index)}. ${this.formatText(question.options[index])}
+                            ${status === 'incorrect' ? `<span class="solution-note">你放在这里的是 ${this.getOptionLabel(placed)}</span>` : ''}
+                        </li>
+                    `;
+                }).join('')}
+            </ol>
+        `;
+    }
+
+    // ===== 配对题 =====
+
+    // options 为左列条目，targets 为右列条目，answer[i] 为与左列第 i 项配对的右列序号
+    // 作答记录 selected 与 answer 结构相同，未配对的位置为 null
+    renderMatchBoard(question) {
+        return `
+            <div class="match-board" id="match-board">
+                <ul class="match-column">
+                    ${question.options.map((option, index) => `
+                        <li>
+                            <button class="match-item match-source" data-index="${index}">
+                                <span class="option-label">${this.getOptionLabel(index)}</span>
+                                <span class="option-text">${this.formatText(option)}</span>
+                                <span class="match-slot">未配对</span>
+                            </button>
+                        </li>
+                    `).join('')}
+                </ul>
+                <ul class="match-column">
+                    ${question.targets.map((target, index) => `
+                        <li>
+                            <button class="match-item match-target" data-target="${index}">
+                                <span class="option-label">${index + 1}</span>
+                                <span class="option-text">${this.formatText(target)}</span>
+                            </button>
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+            <p class="answer-hint">先点击左侧条目，再点击右侧对应的描述完成配对；重新点击可以修改</p>
+        `;
+    }
+
+    formatMatchPairs(pairs) {
+        return pairs
+            .map((target, index) => `${this.getOptionLabel(index)}-${target === null ? '?' : target + 1}`)
+            .join('，');
+    }
+
+    // 根据配对结果刷新左列的配对标记和右列的已配对状态
+    updateMatchBoard(pairs) {
+        this.findAll('#match-board .match-source').forEach(item => {
+            const target = pairs[parseInt(item.dataset.index)];
+            item.querySelector('.match-slot').textContent = target === null ? '未配对' : `→ ${target + 1}`;
+            item.classList.toggle('paired', target !== null);
+        });
+        this.findAll('#match-board .match-target').forEach(item => {
+            item.classList.toggle('paired', pairs.includes(parseInt(item.dataset.target)));
+        });
+    }
+
+    // 两侧都可以先点：记住先点的一侧，点另一侧时完成配对；每个右列条目只能配对一次
+    watchMatchBoard(onSubmit) {
+        const question = this.engine.getCurrentQuestion();
+        const nextButton = this.find('#next-button');
+        const board = this.find('#match-board');
+        const pairs = question.options.map(() => null);
+        let active = null;
+
+        const setActive = item => {
+            board.querySelectorAll('.match-item.active').forEach(other => other.classList.remove('active'));
+            active = item;
+            if (item) {
+                item.classList.add('active');
+            }
+        };
+
+        board.querySelectorAll('.match-item').forEach(item => {
+            item.addEventListener('click', () => {
+                if (board.classList.contains('locked')) return;
+                if (!active || active === item || active.classList.contains('match-source') === item.classList.contains('match-source')) {
+                    setActive(active === item ? null : item);
+                    return;
+                }
+
+                const source = item.classList.contains('match-source') ? item : active;
+                const target = parseInt((source === item ? active : item).dataset.target);
+                pairs.forEach((paired, index) => {
+                    if (paired === target) {
+                        pairs[index] = null;
+                    }
+                });
+                pairs[parseInt(source.dataset.index)] = target;
+                setActive(null);
+                this.updateMatchBoard(pairs);
+                nextButton.disabled = pairs.includes(null);
+            });
+        });
+
+        nextButton.onclick = () => onSubmit([...pairs]);
+    }
+
+    lockMatchBoard() {
+        const board = this.find('#match-board');
+        if (!board) return;
+        board.classList.add('locked');
+        board.querySelectorAll('.match-item.active').forEach(item => item.classList.remove('active'));
+    }
+
+    renderMatchSolution(question, pairs) {
+        return `
+            <ul class="match-solution">
+                ${question.answer.map((target, index) => {
+                    const status = pairs.length === 0 ? '' : pairs[index] === target ? 'correct' : 'incorrect';
+                    const picked = pairs[index];
+                    return `
+                        <li class="${status}">
+                            ${this.getOptionLabel(index)}. ${this.formatText(question.options[index])}
+                            → ${target + 1}. ${this.formatText(question.targets[target])}
+                            ${status === 'incorrect' ? `<span class="solution-note">你配的是 ${picked === null ? '（未配对）' : picked + 1}</span>` : ''}
+                        </li>
+                    `;
+                }).join('')}
+            </ul>
+        `;
+    }
+
+    // ===== 填空题 =====
+
+    // 题干中连续三个及以上的下划线表示一个空
+    renderBlanks(text) {
+        return text.split(/_{3,}/).map((segment, index) => {
+            const blank = index > 0
+                ? `<input type="text" class="answer-input blank-input" data-blank="${index - 1}" aria-label="第 ${index} 个空" autocomplete="off">`
+                : '';
+            return blank + this.formatText(segment);
+        }).join('');
+    }
+
+    // 输入类题目：至少填写一处后才能确认，确认前可以随意修改
+    // 在单行输入框中按 Enter 等同于点击确认按钮
+    watchAnswerInputs(onSubmit) {
+        const inputs = [...this.getAnswerInputs()];
+        const nextButton = this.find('#next-button');
+
+        inputs.forEach(input => {
+            input.addEventListener('input', () => {
+                nextButton.disabled = inputs.every(item => item.value.trim() === '');
+            });
+            input.addEventListener('keydown', event => {
+                if (event.key === 'Enter' && input.tagName === 'INPUT' && !nextButton.disabled) {
+                    event.preventDefault();
+                    nextButton.click();
+                }
+            });
+        });
+        nextButton.onclick = () => onSubmit(inputs.map(input => input.value));
+    }
+
+    // 选项题之外的题型共用的监听方式，返回 false 表示是普通选项题
+    watchSpecialAnswer(question, onSubmit) {
+        if (this.engine.isTextAnswer(question)) {
+            this.watchAnswerInputs(onSubmit);
+        } else if (question.type === 'order') {
+            this.watchOrderList(onSubmit);
+        } else if (question.type === 'match') {
+            this.watchMatchBoard(onSubmit);
+        } else {
+            return false;
+        }
+        return true;
+    }
+
+    attachOptionListeners() {
+        const engine = this.engine;
+        const question = engine.getCurrentQuestion();
+        const submit = selected => {
+            engine.answer(selected);
+            this.showNextButton();
+        };
+        if (this.watchSpecialAnswer(question, submit)) return;
+
+        const nextButton = this.find('#next-button');
+        const options = this.findAll('#options-list .option-item');
+        let selectedIndices = [];
+
+        options.forEach(option => {
+            option.addEventListener('click', () => {
+                if (engine.getRecord(engine.currentIndex)) return;
+
+                const index = parseInt(option.dataset.index);
+
+                if (question.type === 'multiple') {
+                    // 多选题需要手动确认
+                    if (selectedIndices.includes(index)) {
+                        selectedIndices = selectedIndices.filter(i => i !== index);
+                        option.classList.remove('selected');
+                    } else {
+                        selectedIndices.push(index);
+                        option.classList.add('selected');
+                    }
+                    nextButton.disabled = selectedIndices.length === 0;
+                    nextButton.onclick = () => submit(selectedIndices);
+                } else {
+                    // 单选题和判断题选择后自动显示结果
+                    options.forEach(opt => opt.classList.remove('selected'));
+                    option.classList.add('selected');
+                    submit([index]);
+                }
+            });
+        });
+    }
+
+    // 考试模式：所有题型都可以反复修改选择，点击下一题时才提交答案
+    attachExamListeners() {
+        const engine = this.engine;
+        const question = engine.getCurrentQuestion();
+        const submit = selected => {
+            engine.answer(selected);
+            engine.next();
+        };
+        if (this.watchSpecialAnswer(question, submit)) return;
+
+        const nextButton = this.find('#next-button');
+        const options = this.findAll('#options-list .option-item');
+        let selectedIndices = [];
+
+        options.forEach(option => {
+            option.addEventListener('click', () => {
+                const index = parseInt(option.dataset.index);
+
+                if (question.type === 'multiple') {
+                    if (selectedIndices.includes(index)) {
+                        selectedIndices = selectedIndices.filter(i => i !== index);
+                        option.classList.remove('selected');
+                    } else {
+                        selectedIndices.push(index);
+                        option.classList.add('selected');
+                    }
+                } else {
+                    options.forEach(opt => opt.classList.remove('selected'));
+                    option.classList.add('selected');
+                    selectedIndices = [index];
+                }
+
+                nextButton.disabled = selectedIndices.length === 0;
+            });
+        });
+
+        nextButton.onclick = () => submit(selectedIndices);
+    }
+
+    // ===== 反馈与解析 =====
+
+    showFeedback(question, record) {
+        const engine = this.engine;
+        const feedbackArea = this.find('#feedback-area');
+        const selectedIndices = record.selected;
+        const score = engine.getRecordScore(record);
+        const status = record.correct ? 'correct' : score > 0 ? 'partial' : 'incorrect';
+        const resultText = {
+            correct: '回答正确！',
+            partial: `部分正确（得分 ${Math.round(score * 100)}%）`,
+            incorrect: '回答错误'
+        }[status];
+
+        // 标记选项，多选题中漏选的正确选项额外标出
+        this.findAll('#options-list .option-item').forEach((option, index) => {
+            if (question.answer.includes(index)) {
+                option.classList.add('correct');
+                if (question.type === 'multiple' && !selectedIndices.includes(index)) {
+                    option.classList.add('missed');
+                }
+            } else if (selectedIndices.includes(index)) {
+                option.classList.add('incorrect');
+            }
+        });
+        // 排序题按位置标记对错
+        this.findAll('#order-list .order-item').forEach((item, position) => {
+            item.classList.add(parseInt(item.dataset.index) === question.answer[position] ? 'correct' : 'incorrect');
+        });
+        // 配对题逐对标记对错
+        this.findAll('#match-board .match-source').forEach(item => {
+            const index = parseInt(item.dataset.index);
+            item.classList.add(selectedIndices[index] === question.answer[index] ? 'correct' : 'incorrect');
+        });
+        // 填空题逐个空标记对错，输出预测题整体标记
+        this.getAnswerInputs().forEach((input, index) => {
+            const inputCorrect = question.type === 'fill'
+                ? engine.isBlankCorrect(question, index, selectedIndices[index] || '')
+                : record.correct;
+            input.classList.add(inputCorrect ? 'correct' : 'incorrect');
+        });
+
+        // 显示反馈和解析
+        feedbackArea.innerHTML = `
+            <div class="result-feedback ${status}">
+                <div class="result-icon">${{ correct: '✅', partial: '◐', incorrect: '❌' }[status]}</div>
+                <div class="result-text">${resultText}</div>
+            </div>
+
+            <div class="explanation-section">
+                <button class="explanation-toggle active" onclick="this.classList.toggle('active'); this.nextElementSibling.classList.toggle('show')">
+                    <span>📖 详细解析</span>
+                    <span class="arrow">▼</span>
+                </button>
+                <div class="explanation-content show">
+                    <div class="explanation-inner">
+                        ${this.renderExplanation(question, selectedIndices)}
+                    </div>
+                </div>
+            </div>
+        `;
+        this.attachRunButtons(feedbackArea);
+    }
+
+    renderExplanation(question, selectedIndices) {
+        let html = '';
+
+        // 正确答案解析
+        html += `
+            <div class="explanation-item">
+                <div class="explanation-title correct-exp">
+                    ${this.renderCorrectAnswerTitle(question)}
+                </div>
+                ${question.type === 'predict' && this.engine.isTextAnswer(question) ? QuizMarkup.renderCodeBlock(question.answer[0], 'text') : ''}
+                ${question.type === 'order' ? this.renderOrderSolution(question, selectedIndices) : ''}
+                ${question.type === 'match' ? this.renderMatchSolution(question, selectedIndices) : ''}
+                <div class="explanation-text">${this.formatText(question.explanation.correct)}</div>
+            </div>
+        `;
+
+        // 多选题：列出漏选的正确选项
+        const missed = question.type === 'multiple' && selectedIndices.length > 0
+            ? question.answer.filter(index => !selectedIndices.includes(index))
+            : [];
+        if (missed.length > 0) {
+            html += `
+                <div class="explanation-item">
+                    <div class="explanation-title missed-exp">
+                        🔍 漏选了 ${missed.length} 个正确选项
+                    </div>
+                    <ul class="missed-list">
+                        ${missed.map(index => `<li>${this.getOptionLabel(index)}. ${this.formatText(question.options[index])}</li>`).join('')}
+                    </ul>
+                </div>
+            `;
+        }
+
+        // 错误选项解析
+        if (question.explanation.wrong && Object.keys(question.explanation.wrong).length > 0) {
+            const wrongOptions = Object.entries(question.explanation.wrong);
+            wrongOptions.forEach(([optionIndex, explanation]) => {
+                const index = parseInt(optionIndex);
+                // 配对题的 wrong 以左侧条目为键，对应的那一对配错时才算"选择了此项"
+                const wasSelected = question.type === 'match'
+                    ? selectedIndices.length > 0 && selectedIndices[index] !== question.answer[index]
+                    : selectedIndices.includes(index);
+                const label = question.type === 'match'
+                    ? `配对 ${this.getOptionLabel(index)} ${wasSelected ? '(您配错了此项)' : ''}`
+                    : `选项 ${this.getOptionLabel(index)} ${wasSelected ? '(您选择了此项)' : ''}`;
+                html += `
+                    <div class="explanation-item">
+                        <div class="explanation-title incorrect-exp">
+                            ${wasSelected ? '⚠️' : 'ℹ️'} ${label}
+                        </div>
+                        <div class="explanation-text">${this.formatText(explanation)}</div>
+                    </div>
+                `;
+            });
+        }
+
+        // 带代码的题目可以在沙箱中实际运行，对照真实输出
+        if (question.code) {
+            html += `
+                <div class="explanation-item">
+                    <div class="explanation-title">🧪 实际运行</div>
+                    <button class="text-button run-code-button" data-question-index="${this.engine.questions.indexOf(question)}">▶ 在沙箱中运行代码</button>
+                    <div class="run-output"></div>
+                </div>
+            `;
+        }
+
+        html += this.renderChapterRefs(question);
+
+        return html;
+    }
+
+    // 延伸阅读：链接到题目相关的教程章节
+    renderChapterRefs(question) {
+        const stage = StageRegistry.get(this.engine.getQuestionStageId(question));
+        const refs = ChapterIndex.getRefs(question, stage && stage.folder);
+        if (refs.length === 0) {
+            return '';
+        }
+        return `
+            <div class="explanation-item">
+                <div class="explanation-title">📘 延伸阅读</div>
+                <ul class="chapter-refs">
+                    ${refs.map(ref => `
+                        <li><a href="${this.escapeHtml(ChapterIndex.getUrl(ref))}" target="_blank">${this.escapeHtml(ChapterIndex.getTitle(ref))}</a></li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    renderCorrectAnswerTitle(question) {
+        if (question.type === 'fill') {
+            const blanks = question.answer.map(accepted => this.escapeHtml(this.engine.getBlankAnswerText(accepted)));
+            return `✅ 正确答案: ${blanks.join(' / ')}`;
+        }
+        if (this.engine.isTextAnswer(question)) {
+            return '✅ 正确输出';
+        }
+        if (question.type === 'order') {
+            return '✅ 正确顺序';
+        }
+        if (question.type === 'match') {
+            return '✅ 正确配对';
+        }
+        return `✅ 正确答案: ${question.answer.map(i => this.getOptionLabel(i)).join(', ')}`;
+    }
+
+    attachRunButtons(container) {
+        container.querySelectorAll('.run-code-button').forEach(button => {
+            button.addEventListener('click', () => this.runCode(button));
+        });
+    }
+
+    runCode(button) {
+        const question = this.engine.questions[parseInt(button.dataset.questionIndex)];
+        const output = button.nextElementSibling;
+
+        button.disabled = true;
+        button.textContent = '⏳ 运行中…';
+        // 沙箱本身出错时同样恢复按钮，并在输出区显示原因
+        CodeRunner.run(question.code)
+            .then(result => this.renderRunResult(result))
+            .catch(error => `<p class="run-error">⚠️ 代码运行失败：${this.escapeHtml(error && error.message ? error.message : String(error))}</p>`)
+            .then(html => {
+                output.innerHTML = html;
+                button.disabled = false;
+                button.textContent = '↻ 重新运行';
+            });
+    }
+
+    renderRunResult({ logs, rendered, errors }) {
+        return `
+            <div class="run-label">控制台输出</div>
+            ${logs.length > 0 ? QuizMarkup.renderCodeBlock(logs.join('\n'), 'text') : '<p class="run-empty">（没有输出）</p>'}
+            ${rendered ? `
+                <div class="run-label">渲染结果</div>
+                ${QuizMarkup.renderCodeBlock(rendered, 'html')}
+            ` : ''}
+            ${errors.map(error => `<p class="run-error">⚠️ ${this.escapeHtml(error)}</p>`).join('')}
+        `;
+    }
+
+    // ===== 统计与完成页 =====
+
+    updateStats() {
+        const { answeredCount, totalCount, accuracy } = this.elements;
+        const stats = this.engine.getStats();
+        if (answeredCount) {
+            answeredCount.textContent = stats.answered;
+        }
+        if (totalCount) {
+            totalCount.textContent = stats.total;
+        }
+        // 考试进行中隐藏正确率
+        if (accuracy) {
+            const examRunning = this.engine.isExam() && !this.engine.isFinished();
+            accuracy.textContent = examRunning ? '—' : stats.accuracy + '%';
+        }
+    }
+
+    showCompletion({ correctCount, totalScore, total, accuracy }) {
+        const engine = this.engine;
+        // 题目可以单独指定计分方式，这里列出本轮多选题实际用到的计分方式
+        const scoringPolicies = [...new Set(engine.questions
+            .filter(question => question.type === 'multiple')
+            .map(question => engine.getMultipleScoring(question)))];
+
+        let message = '';
+        let icon = '';
+        if (accuracy >= 90) {
+            message = '优秀！你对这部分内容掌握得非常好！';
+            icon = '🎉';
+        } else if (accuracy >= 70) {
+            message = '不错！继续加油，你可以做得更好！';
+            icon = '👍';
+        } else if (accuracy >= 60) {
+            message = '及格了！建议复习相关知识点。';
+            icon = '💪';
+        } else {
+            message = '需要加强！建议重新学习这部分内容。';
+            icon = '📚';
+        }
+
+        this.container.innerHTML = `
+            <div class="completion-card">
+                <div class="completion-icon">${icon}</div>
+                <h2 class="completion-title">恭喜完成！</h2>
+                <p style="color: #718096; font-size: 16px; margin-bottom: 20px;">${message}</p>
+
+                <div class="completion-stats">
+                    <div class="completion-stat">
+                        <div class="completion-stat-value">${correctCount}</div>
+                        <div class="completion-stat-label">答对题数</div>
+                    </div>
+                    ${totalScore !== correctCount ? `
+                        <div class="completion-stat">
+                            <div class="completion-stat-value">${Math.round(totalScore * 10) / 10}</div>
+                            <div class="completion-stat-label">总得分（含部分得分）</div>
+                        </div>
+                    ` : ''}
+                    <div class="completion-stat">
+                        <div class="completion-stat-value">${total}</div>
+                        <div class="completion-stat-label">总题数</div>
+                    </div>
+                    <div class="completion-stat">
+                        <div class="completion-stat-value">${accuracy}%</div>
+                        <div class="completion-stat-label">正确率</div>
+                    </div>
+                </div>
+
+                ${scoringPolicies.length > 0 ? `
+                    <p class="scoring-info">多选题计分方式：${scoringPolicies.map(policy => MULTIPLE_SCORING_POLICIES[policy]).join('、')}</p>
+                ` : ''}
+
+                ${this.renderMasteryAnalysis()}
+
+                <div class="completion-buttons">
+                    <a href="../index.html" class="completion-button primary-button">返回首页</a>
+                    <button class="completion-button secondary-button" id="restart-button">重新答题</button>
+                    <button class="completion-button secondary-button" id="shuffle-restart-button">🔀 乱序重练</button>
+                    <a href="history.html?stage=${encodeURIComponent(engine.stageId)}" class="completion-button secondary-button">📈 答题记录</a>
+                </div>
+
+                ${engine.shuffle ? `
+                    <p class="shuffle-info">
+                        🔀 本轮随机种子 <code>${engine.shuffle.seed}</code>，
+                        <a href="${this.escapeHtml(this.getReplayUrl(engine.shuffle))}">按相同顺序再练一次</a>
+                    </p>
+                ` : ''}
+
+                ${engine.isExam() ? this.renderExamReport() : ''}
+            </div>
+        `;
+        this.attachRunButtons(this.container);
+
+        this.find('#restart-button').addEventListener('click', () => this.restart());
+        this.find('#shuffle-restart-button').addEventListener('click', () => {
+            this.restart({ seed: QuizShuffle.randomSeed(), questions: true, options: true });
+        });
+
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    }
+
+    renderTagChips(tagStats) {
+        if (tagStats.length === 0) {
+            return '<p class="mastery-empty">暂无</p>';
+        }
+        return `
+            <div class="question-tags">
+                ${tagStats.map(tag => `
+                    <a class="tag" href="tags.html?tag=${encodeURIComponent(tag.name)}">
+                        ${this.escapeHtml(tag.name)} ${tag.correct}/${tag.total}
+                    </a>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    renderMasteryAnalysis() {
+        const engine = this.engine;
+        // 只出现一次的标签偶然性太大，不参与强弱项判断
+        const tagStats = engine.buildBreakdown(question => question.tags).filter(tag => tag.total >= 2);
+        const strengths = tagStats
+            .filter(tag => tag.accuracy >= 80)
+            .sort((a, b) => b.accuracy - a.accuracy || b.total - a.total)
+            .slice(0, 6);
+        const weaknesses = tagStats
+            .filter(tag => tag.accuracy < 60)
+            .sort((a, b) => a.accuracy - b.accuracy || b.total - a.total)
+            .slice(0, 6);
+        const sectionStats = engine.buildBreakdown(question => {
+            const section = engine.getQuestionSection(question);
+            return section ? [section] : [];
+        });
+        const weakestQuery = weaknesses.slice(0, 3)
+            .map(tag => 'tag=' + encodeURIComponent(tag.name))
+            .join('&');
+
+        return `
+            <div class="mastery-analysis">
+                <div class="mastery-columns">
+                    <div class="mastery-block">
+                        <h3 class="mastery-title">💪 掌握较好</h3>
+                        ${this.renderTagChips(strengths)}
+                    </div>
+                    <div class="mastery-block">
+                        <h3 class="mastery-title">📌 需要加强</h3>
+                        ${this.renderTagChips(weaknesses)}
+                    </div>
+                </div>
+
+                ${sectionStats.length > 0 ? `
+                    <h3 class="mastery-title">📊 章节掌握情况</h3>
+                    <ul class="section-stats">
+                        ${sectionStats.map(section => `
+                            <li>
+                                <span class="section-name">${this.escapeHtml(section.name)}</span>
+                                <div class="progress-bar">
+                                    <div class="progress-fill ${section.accuracy < 60 ? 'low' : ''}" style="width: ${section.accuracy}%"></div>
+                                </div>
+                                <span class="section-score">${section.correct}/${section.total} · ${section.accuracy}%</span>
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+
+                ${weaknesses.length > 0 ? `
+                    <div class="completion-buttons">
+                        <a href="tags.html?${weakestQuery}" class="completion-button primary-button">🎯 练习我的薄弱标签</a>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    getShuffleMode(shuffle) {
+        if (shuffle.questions && shuffle.options) return 'all';
+        return shuffle.questions ? 'questions' : 'options';
+    }
+
+    // 保留地址栏中的其他参数（如 stage、tag），只替换乱序设置
+    getReplayUrl(shuffle) {
+        const params = new URLSearchParams(window.location.search);
+        params.set('shuffle', this.getShuffleMode(shuffle));
+        params.set('seed', shuffle.seed);
+        return `?${params.toString()}`;
+    }
+
+    // 考试报告：逐题列出作答情况、正确答案和解析
+    renderExamReport() {
+        const engine = this.engine;
+        return `
+            <div class="exam-report">
+                <h3 class="exam-report-title">📋 答题报告</h3>
+                ${engine.questions.map((question, index) => {
+                    const record = engine.getRecord(index);
+                    const selected = record ? record.selected : [];
+                    const status = engine.getQuestionStatus(index);
+                    const statusText = { correct: '✅ 正确', partial: '◐ 部分正确', incorrect: '❌ 错误', unanswered: '⏳ 未作答' }[status];
+
+                    return `
+                        <div class="report-item ${status}">
+                            <div class="report-header">
+                                <span class="question-number">第 ${index + 1} 题</span>
+                                <span class="report-status">${statusText}</span>
+                            </div>
+                            <div class="report-question">${this.formatText(question.question)}</div>
+                            ${question.code ? QuizMarkup.renderCodeBlock(question.code, 'jsx') : ''}
+                            ${engine.isTextAnswer(question) ? `
+                                <div class="report-answers">
+                                    <span>你的答案：${selected.length > 0 ? this.escapeHtml(selected.join(' / ')) : '未作答'}</span>
+                                </div>
+                            ` : question.type === 'match' ? `
+                                <div class="report-answers">
+                                    <span>你的配对：${selected.length > 0 ? this.formatMatchPairs(selected) : '未作答'}</span>
+                                    <span>正确配对：${this.formatMatchPairs(question.answer)}</span>
+                                </div>
+                            ` : question.type === 'order' ? `
+                                <div class="report-answers">
+                                    <span>你的顺序：${selected.length > 0 ? selected.map(i => this.getOptionLabel(i)).join(' → ') : '未作答'}</span>
+                                    <span>正确顺序：${question.answer.map(i => this.getOptionLabel(i)).join(' → ')}</span>
+                                </div>
+                            ` : `
+                                <ul class="report-options">
+                                    ${question.options.map((option, optionIndex) => `
+                                        <li class="${question.answer.includes(optionIndex) ? (selected.length > 0 && !selected.includes(optionIndex) ? 'correct missed' : 'correct') : selected.includes(optionIndex) ? 'incorrect' : ''}">
+                                            ${this.getOptionLabel(optionIndex)}. ${this.formatText(option)}
+                                        </li>
+                                    `).join('')}
+                                </ul>
+                                <div class="report-answers">
+                                    <span>你的答案：${selected.length > 0 ? selected.map(i => this.getOptionLabel(i)).join(', ') : '未作答'}</span>
+                                    <span>正确答案：${question.answer.map(i => this.getOptionLabel(i)).join(', ')}</span>
+                                </div>
+                            `}
+                            <div class="explanation-inner">
+                                ${this.renderExplanation(question, selected)}
+                            </div>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+}
@@ -0,0 +1,141 @@
+// 教程阅读页面：reader.html?file=Part2-Hooks深入掌握/02-useState基础与进阶.md#标题
+// 侧边栏目录来自 data/chapters.json（由 scripts/build-chapters.js 生成），只能打开目录中列出的章节
+// "测一测"链接到 tags.html?chapter=<章节路径>，练习与本章相关的题目
+const CHAPTERS_MANIFEST_URL = '../data/chapters.json';
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+function getChapterFromUrl() {
+    return new URLSearchParams(window.location.search).get('file') || '';
+}
+
+function fetchText(url) {
+    return fetch(url)
+        .catch(() => {
+            throw new Error(window.location.protocol === 'file:'
+                ? '浏览器不允许直接读取本地文件，请在问答网页目录运行 npm start 后访问'
+                : '文件加载失败，请检查网络后刷新页面');
+        })
+        .then(response => {
+            if (!response.ok) {
+                throw new Error(`文件不存在或无法读取（HTTP ${response.status}）`);
+            }
+            return response.text();
+        });
+}
+
+function getAllChapters(manifest) {
+    return manifest.parts.flatMap(part => part.chapters);
+}
+
+function renderReaderSidebar(manifest, currentFile) {
+    document.getElementById('reader-sidebar').innerHTML = manifest.parts.map(part => {
+        const isCurrentPart = part.chapters.some(chapter => chapter.file === currentFile);
+        return `
+            <details class="reader-part" ${isCurrentPart ? 'open' : ''}>
+                <summary>Part ${part.number} · ${escapeHtml(part.title)}</summary>
+                <ul>
+                    ${part.chapters.map(chapter => `
+                        <li>
+                            <a href="${escapeHtml(ChapterIndex.getUrl(chapter.file))}"
+                               class="${chapter.file === currentFile ? 'active' : ''}">${escapeHtml(chapter.title)}</a>
+                        </li>
+                    `).join('')}
+                </ul>
+            </details>
+        `;
+    }).join('');
+}
+
+// 把 markdown 中的相对地址换成阅读页或原始文件的地址；外部链接和页内锚点保持不变
+function createLinkResolver(currentFile) {
+    return (href, isImage) => {
+        if (/^[a-z][\w+.-]*:/i.test(href) || href.startsWith('#')) {
+            return href;
+        }
+        const url = new URL(href, `http://tutorial/${currentFile.split('/').map(encodeURIComponent).join('/')}`);
+        const file = decodeURIComponent(url.pathname.slice(1));
+        if (!isImage && file.endsWith('.md')) {
+            return ChapterIndex.getUrl(file + (url.hash ? '#' + decodeURIComponent(url.hash.slice(1)) : ''));
+        }
+        return ChapterIndex.getFileUrl(file);
+    };
+}
+
+// 正文异步渲染，浏览器不会自动定位到地址中的锚点；锚点可能是标题原文，也可能是生成的 id
+function scrollToAnchor() {
+    const anchor = decodeURIComponent(window.location.hash.slice(1));
+    if (!anchor) {
+        return;
+    }
+    const target = document.getElementById(anchor) || document.getElementById(MarkdownRenderer.slugify(anchor));
+    if (target) {
+        target.scrollIntoView();
+    }
+}
+
+function renderChapterNav(manifest, currentFile) {
+    const chapters = getAllChapters(manifest);
+    const index = chapters.findIndex(chapter => chapter.file === currentFile);
+    const link = (chapter, text) => `<a href="${escapeHtml(ChapterIndex.getUrl(chapter.file))}" class="stage-nav-link">${escapeHtml(text)}</a>`;
+    const previous = chapters[index - 1];
+    const next = chapters[index + 1];
+    document.getElementById('chapter-nav').innerHTML = `
+        ${previous ? link(previous, `← ${previous.title}`) : '<span></span>'}
+        ${next ? link(next, `${next.title} →`) : '<span></span>'}
+    `;
+}
+
+// 题库加载完成后统计本章相关的题目，没有题目时不显示入口
+function renderChapterQuizButton(file) {
+    const slot = document.getElementById('chapter-quiz');
+    return loadQuestionBanks().then(() => {
+        const count = ChapterIndex.findQuestions(file, QUESTION_BANKS).length;
+        slot.innerHTML = count > 0
+            ? `<a href="tags.html?chapter=${encodeURIComponent(file)}" class="home-button" id="chapter-quiz-link">🧪 测一测（${count} 题）</a>`
+            : '';
+    });
+}
+
+function renderChapter(manifest, file) {
+    const content = document.getElementById('reader-content');
+    const chapter = getAllChapters(manifest).find(item => item.file === file);
+    if (!chapter) {
+        content.innerHTML = `<p class="empty-text">没有找到章节「${escapeHtml(file)}」，请从左侧目录选择</p>`;
+        return Promise.resolve();
+    }
+
+    document.title = `${ChapterIndex.getTitle(file)} - React 19 问答系统`;
+    renderChapterNav(manifest, file);
+    return Promise.all([
+        fetchText(ChapterIndex.getFileUrl(file)).then(text => {
+            content.innerHTML = MarkdownRenderer.render(text, { resolveLink: createLinkResolver(file) });
+            scrollToAnchor();
+        }, error => {
+            content.innerHTML = `<p class="empty-text">⚠️ 章节加载失败：${escapeHtml(error.message)}</p>`;
+        }),
+        renderChapterQuizButton(file)
+    ]);
+}
+
+function initReaderPage() {
+    const file = getChapterFromUrl();
+    const content = document.getElementById('reader-content');
+    content.innerHTML = '<p class="loading-text">正在加载目录…</p>';
+
+    return fetchText(CHAPTERS_MANIFEST_URL).then(text => {
+        const manifest = JSON.parse(text);
+        renderReaderSidebar(manifest, file);
+        if (!file) {
+            content.innerHTML = '<p class="empty-text">从左侧目录选择要阅读的章节</p>';
+            return;
+        }
+        return renderChapter(manifest, file);
+    }).catch(error => {
+        content.innerHTML = `<p class="empty-text">⚠️ 目录加载失败：${escapeHtml(error.message)}</p>`;
+    });
+}
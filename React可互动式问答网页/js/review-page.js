@@ -0,0 +1,105 @@
+// 今日复习页面：根据 ReviewScheduler 的调度结果，从所有阶段抽取今日到期的题目和新题
+// 答过的题目会重新调度离开队列，所以开始复习时保存队列的题目，继续进度时按保存的题目重建
+const REVIEW_NEW_LIMIT_KEY = 'react19_review_new_limit';
+const REVIEW_SETUP_KEY = 'react19_review_setup';
+const REVIEW_SESSION_KEY = 'react19_quiz_session_review';
+
+function getNextDueDate(schedule, today) {
+    const upcoming = Object.values(schedule)
+        .map(card => card.due)
+        .filter(due => due > today)
+        .sort();
+    return upcoming[0] || null;
+}
+
+function renderReviewOverview() {
+    const container = document.getElementById('question-container');
+    const today = ReviewScheduler.toDateString(new Date());
+    const schedule = ReviewScheduler.getAll();
+    const newLimit = QuizStorage.get(REVIEW_NEW_LIMIT_KEY, 10);
+    const queue = ReviewScheduler.buildDailyQueue(QUESTION_BANKS, schedule, today, { newLimit });
+
+    const dueCount = queue.filter(question => schedule[`${question.stageId}:${question.id}`]).length;
+    const nextDue = getNextDueDate(schedule, today);
+    const breakdown = QUESTION_BANKS
+        .map(bank => ({ name: bank.name, count: queue.filter(q => q.stageId === bank.stageId).length }))
+        .filter(item => item.count > 0);
+
+    container.innerHTML = `
+        <div class="completion-card">
+            <div class="completion-icon">🗓️</div>
+            <h2 class="completion-title">今日复习 · ${today}</h2>
+
+            <div class="completion-stats">
+                <div class="completion-stat">
+                    <div class="completion-stat-value">${dueCount}</div>
+                    <div class="completion-stat-label">到期复习</div>
+                </div>
+                <div class="completion-stat">
+                    <div class="completion-stat-value">${queue.length - dueCount}</div>
+                    <div class="completion-stat-label">新题</div>
+                </div>
+                <div class="completion-stat">
+                    <div class="completion-stat-value">${Object.keys(schedule).length}</div>
+                    <div class="completion-stat-label">已进入复习计划</div>
+                </div>
+            </div>
+
+            <ul class="review-breakdown">
+                ${breakdown.map(item => `<li><span>${item.name}</span><span>${item.count} 题</span></li>`).join('')}
+            </ul>
+
+            ${queue.length === 0 ? `
+                <p class="empty-text">今天没有需要复习的题目${nextDue ? `，下一次复习在 ${nextDue}` : ''}。</p>
+            ` : ''}
+
+            <label class="review-setting">
+                每日新题数量
+                <select id="new-limit">
+                    ${[0, 5, 10, 20, 50].map(n => `<option value="${n}" ${n === newLimit ? 'selected' : ''}>${n}</option>`).join('')}
+                </select>
+            </label>
+
+            <div class="completion-buttons">
+                <button class="completion-button primary-button" id="start-review-button" ${queue.length === 0 ? 'disabled' : ''}>开始复习 →</button>
+            </div>
+        </div>
+    `;
+
+    document.getElementById('new-limit').addEventListener('change', event => {
+        QuizStorage.set(REVIEW_NEW_LIMIT_KEY, parseInt(event.target.value));
+        renderReviewOverview();
+    });
+
+    document.getElementById('start-review-button').addEventListener('click', () => {
+        const setup = { questionKeys: queue.map(q => `${q.stageId}:${q.id}`) };
+        QuizStorage.set(REVIEW_SETUP_KEY, setup);
+        startReview(setup);
+    });
+}
+
+function startReview(setup) {
+    const questions = setup.questionKeys
+        .map(key => {
+            const [stageId, questionId] = key.split(':');
+            return findQuestion(stageId, parseInt(questionId));
+        })
+        .filter(Boolean);
+
+    document.getElementById('quiz-stats').hidden = false;
+    initQuiz(questions, '今日复习', {
+        stageId: 'review',
+        trackProgress: false,
+        sections: getSectionsByStage()
+    });
+}
+
+// 有未完成的复习时按原来的队列重建，由 QuizSystem 提示继续或重新开始
+function initReviewPage() {
+    const setup = QuizStorage.get(REVIEW_SETUP_KEY);
+    if (setup && QuizStorage.get(REVIEW_SESSION_KEY)) {
+        startReview(setup);
+    } else {
+        renderReviewOverview();
+    }
+}
@@ -0,0 +1,61 @@
+// 代码沙箱（运行在 sandbox.html 的隔离 iframe 中）：执行输出预测题的代码片段，
+// 收集控制台输出和渲染结果后通过 postMessage 回传给答题页面
+const QuizSandbox = {
+    // 代码执行后继续等待的时间，让 effect、定时器和异步渲染有机会完成
+    SETTLE_MS: 500,
+
+    // 把 console 参数格式化成一行文本，字符串原样输出，其余值尽量按 JSON 展示
+    formatValue(value) {
+        if (typeof value === 'string') return value;
+        if (typeof value === 'function') return `[Function ${value.name || 'anonymous'}]`;
+        if (value === undefined || typeof value === 'number' || typeof value === 'boolean' || value === null) {
+            return String(value);
+        }
+        try {
+            return JSON.stringify(value);
+        } catch (error) {
+            return String(value);
+        }
+    },
+
+    run(code) {
+        const logs = [];
+        const root = document.getElementById('root');
+        const capture = level => (...args) => {
+            const line = args.map(value => this.formatValue(value)).join(' ');
+            logs.push(level === 'log' || level === 'info' ? line : `[${level}] ${line}`);
+        };
+        ['log', 'info', 'warn', 'error'].forEach(level => {
+            console[level] = capture(level);
+        });
+
+        const errors = [];
+        window.addEventListener('error', event => errors.push(event.message));
+        window.addEventListener('unhandledrejection', event => errors.push(String(event.reason)));
+
+        // 代码片段中可直接使用 React、ReactDOM，用 render(element) 挂载到页面
+        const render = element => ReactDOM.createRoot(root).render(element);
+        try {
+            new Function('React', 'ReactDOM', 'render', code)(React, ReactDOM, render);
+        } catch (error) {
+            errors.push(`${error.name}: ${error.message}`);
+        }
+
+        return new Promise(resolve => {
+            setTimeout(() => resolve({ logs, rendered: root.innerHTML, errors }), this.SETTLE_MS);
+        });
+    }
+};
+
+// 每个 iframe 只执行一次代码，保证各次运行之间互不影响
+let sandboxStarted = false;
+window.addEventListener('message', event => {
+    if (sandboxStarted || event.source !== window.parent || !event.data || typeof event.data.code !== 'string') return;
+
+    sandboxStarted = true;
+    QuizSandbox.run(event.data.code).then(result => {
+        window.parent.postMessage({ runId: event.data.runId, ...result }, '*');
+    });
+});
+
+window.parent.postMessage({ ready: true }, '*');
@@ -0,0 +1,116 @@
+// 间隔重复调度（SM-2 简化版）：为每道题记录难度系数、复习间隔和下次复习日期
+// 日期统一使用本地日期字符串 "YYYY-MM-DD"，计算函数都显式接收 today，不读取当前时间
+const ReviewScheduler = {
+    STORAGE_KEY: 'react19_review_schedule',
+    DEFAULT_EASE: 2.5,
+    MIN_EASE: 1.3,
+    // 答题只有对错两种结果，分别映射为 SM-2 的 4 分和 1 分
+    QUALITY_CORRECT: 4,
+    QUALITY_WRONG: 1,
+
+    toDateString(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    },
+
+    // 用 UTC 计算日期加减，避免夏令时切换导致差一天
+    addDays(dateString, days) {
+        const [year, month, day] = dateString.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+    },
+
+    createCard() {
+        return { ease: this.DEFAULT_EASE, interval: 0, repetitions: 0, lapses: 0, due: null, lastReviewed: null };
+    },
+
+    isDue(card, today) {
+        return card.due !== null && card.due <= today;
+    },
+
+    // 根据本次作答质量（0-5）计算新的调度状态，返回新对象，不修改传入的 card
+    grade(card, quality, today) {
+        const previous = card || this.createCard();
+
+        // 同一天内重复答对不继续拉长间隔，避免一次刷题把间隔推得过远
+        if (quality >= 3 && previous.lastReviewed === today) {
+            return { ...previous };
+        }
+
+        let { ease, interval, repetitions, lapses } = previous;
+        if (quality < 3) {
+            repetitions = 0;
+            interval = 1;
+            lapses++;
+        } else {
+            repetitions++;
+            if (repetitions === 1) {
+                interval = 1;
+            } else if (repetitions === 2) {
+                interval = 6;
+            } else {
+                interval = Math.round(interval * ease);
+            }
+        }
+
+        const penalty = 5 - quality;
+        ease = Math.max(this.MIN_EASE, ease + 0.1 - penalty * (0.08 + penalty * 0.02));
+
+        return {
+            ease: Math.round(ease * 100) / 100,
+            interval,
+            repetitions,
+            lapses,
+            due: this.addDays(today, interval),
+            lastReviewed: today
+        };
+    },
+
+    // 生成当日复习队列：先是到期的题目（越早到期、越难的越靠前），再从各阶段轮流补充新题
+    // banks 结构同 QUESTION_BANKS，schedule 为 { "stageId:题目id": card }
+    buildDailyQueue(banks, schedule, today, { newLimit = 10 } = {}) {
+        const due = [];
+        const fresh = banks.map(() => []);
+
+        banks.forEach((bank, bankIndex) => {
+            bank.questions.forEach(question => {
+                const card = schedule[`${bank.stageId}:${question.id}`];
+                const item = { ...question, stageId: bank.stageId };
+                if (!card) {
+                    fresh[bankIndex].push(item);
+                } else if (this.isDue(card, today)) {
+                    due.push({ item, card });
+                }
+            });
+        });
+
+        due.sort((a, b) => a.card.due.localeCompare(b.card.due) || a.card.ease - b.card.ease);
+
+        const newItems = [];
+        for (let round = 0; newItems.length < newLimit; round++) {
+            const picked = fresh.filter(list => list[round]).map(list => list[round]);
+            if (picked.length === 0) break;
+            newItems.push(...picked.slice(0, newLimit - newItems.length));
+        }
+
+        return [...due.map(({ item }) => item), ...newItems];
+    },
+
+    // ===== 本地存储 =====
+
+    getAll() {
+        return QuizStorage.get(this.STORAGE_KEY, {});
+    },
+
+    recordAnswer(key, isCorrect, today = this.toDateString(new Date())) {
+        const schedule = this.getAll();
+        const quality = isCorrect ? this.QUALITY_CORRECT : this.QUALITY_WRONG;
+        schedule[key] = this.grade(schedule[key], quality, today);
+        QuizStorage.set(this.STORAGE_KEY, schedule);
+        return schedule[key];
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReviewScheduler;
+}
@@ -0,0 +1,129 @@
+// 题目与选项乱序：使用带种子的伪随机数，同一个种子总能复现同样的顺序
+// 打乱选项时同步重映射 answer、explanation.wrong 的键以及解析文本中的"选项X"
+// 打乱后的题目用 optionOrder（配对题还有 targetOrder）记下每个位置原来的序号，用于把作答换回题库中的序号
+const QuizShuffle = {
+    randomSeed() {
+        return Math.floor(Math.random() * 2 ** 31);
+    },
+
+    // mulberry32：足够均匀且实现简单的 32 位伪随机数生成器
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) | 0;
+            let t = Math.imul(state ^ (state >>> 15), 1 | state);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    },
+
+    // Fisher-Yates 洗牌，返回新数组
+    shuffle(items, random) {
+        const result = [...items];
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    },
+
+    shuffleOptions(question, random) {
+        // 判断题保持"正确/错误"的自然顺序，没有选项的题目（如填写输出的预测题）无需处理
+        if (question.type === 'judge' || !question.options) {
+            return question;
+        }
+
+        // order[新位置] = 原位置，newIndexOf[原位置] = 新位置
+        const order = this.shuffle(question.options.map((_, index) => index), random);
+        const newIndexOf = [];
+        order.forEach((oldIndex, newIndex) => {
+            newIndexOf[oldIndex] = newIndex;
+        });
+
+        if (question.type === 'match') {
+            return this.shuffleMatch(question, order, newIndexOf, random);
+        }
+
+        // 同时处理"选项A、B"、"选项B和C"这类连写的多个选项
+        const relabelLetter = label => {
+            const oldIndex = label.charCodeAt(0) - 65;
+            return oldIndex < order.length ? String.fromCharCode(65 + newIndexOf[oldIndex]) : label;
+        };
+        const relabel = text => text.replace(/选项([A-Z](?:[、和与][A-Z])*)(?![A-Za-z])/g, (match, labels) => {
+            return '选项' + labels.replace(/[A-Z]/g, relabelLetter);
+        });
+
+        const wrong = {};
+        Object.entries(question.explanation.wrong || {}).forEach(([oldIndex, text]) => {
+            wrong[newIndexOf[oldIndex]] = relabel(text);
+        });
+
+        return {
+            ...question,
+            options: order.map(oldIndex => question.options[oldIndex]),
+            optionOrder: order,
+            // 排序题的 answer 是正确顺序，不能重新排序
+            answer: question.type === 'order'
+                ? question.answer.map(oldIndex => newIndexOf[oldIndex])
+                : question.answer.map(oldIndex => newIndexOf[oldIndex]).sort((a, b) => a - b),
+            explanation: {
+                ...question.explanation,
+                correct: relabel(question.explanation.correct),
+                wrong
+            }
+        };
+    },
+
+    // 配对题：左列按 order 重排（answer 跟随左列移动），右列单独打乱后重映射 answer 中的序号
+    shuffleMatch(question, order, newIndexOf, random) {
+        const targetOrder = this.shuffle(question.targets.map((_, index) => index), random);
+        const newTargetOf = [];
+        targetOrder.forEach((oldIndex, newIndex) => {
+            newTargetOf[oldIndex] = newIndex;
+        });
+
+        const wrong = {};
+        Object.entries(question.explanation.wrong || {}).forEach(([oldIndex, text]) => {
+            wrong[newIndexOf[oldIndex]] = text;
+        });
+
+        return {
+            ...question,
+            options: order.map(oldIndex => question.options[oldIndex]),
+            targets: targetOrder.map(oldIndex => question.targets[oldIndex]),
+            optionOrder: order,
+            targetOrder,
+            answer: order.map(oldIndex => newTargetOf[question.answer[oldIndex]]),
+            explanation: { ...question.explanation, wrong }
+        };
+    },
+
+    // 打乱选项的题目上的作答（或答案）换回题库中的序号；没有打乱选项的题目和输入类的作答原样返回
+    restoreSelection(question, selected) {
+        if (!question.optionOrder || !Array.isArray(selected)) {
+            return selected;
+        }
+        if (question.type === 'match') {
+            // selected[左列新位置] = 右列新位置，换回 restored[左列原位置] = 右列原位置
+            const restored = [];
+            selected.forEach((target, index) => {
+                restored[question.optionOrder[index]] = target === null ? null : question.targetOrder[target];
+            });
+            return restored;
+        }
+        const restored = selected.map(index => question.optionOrder[index]);
+        // 排序题的作答是顺序本身，其余题目按序号排列
+        return question.type === 'order' ? restored : restored.sort((a, b) => a - b);
+    },
+
+    // config: { seed, questions: 是否打乱题目顺序, options: 是否打乱选项顺序 }
+    apply(questions, config) {
+        const random = this.createRandom(config.seed);
+        const ordered = config.questions ? this.shuffle(questions, random) : [...questions];
+        return config.options ? ordered.map(question => this.shuffleOptions(question, random)) : ordered;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuizShuffle;
+}
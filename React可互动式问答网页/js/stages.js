@@ -0,0 +1,97 @@
+// 阶段注册表：首页卡片、答题页标题、上一/下一阶段导航和题库加载都从这里读取阶段信息
+// id 会写入本地存储（进度、错题本、复习计划），已有的 id 不能修改；number 对应教程目录的编号
+// bank 为 data/banks/ 下的题库文件，folder 为项目根目录下对应的教程目录
+const StageRegistry = {
+    STAGES: [
+        {
+            id: 'part1',
+            number: 1,
+            title: 'React 核心基础',
+            description: '掌握 JSX、组件、Props、State、事件处理、条件渲染、列表渲染、表单处理等核心概念',
+            folder: 'Part1-React核心基础',
+            bank: 'part1.json',
+            order: 1
+        },
+        {
+            id: 'part2',
+            number: 2,
+            title: 'Hooks 深入掌握',
+            description: '深入理解 useState、useEffect、useContext、useReducer、useMemo、useCallback 等 Hooks 及自定义 Hooks',
+            folder: 'Part2-Hooks深入掌握',
+            bank: 'part2.json',
+            order: 2
+        },
+        {
+            id: 'part3',
+            number: 3,
+            title: 'React 19 核心新特性',
+            description: '学习 use() Hook、Server Components、Actions、React Compiler、Document Metadata 等最新特性',
+            folder: 'Part3-React19核心新特性',
+            bank: 'part3.json',
+            order: 3
+        },
+        {
+            id: 'part4',
+            number: 4,
+            title: '并发特性与性能优化',
+            description: '掌握 Fiber 架构、Suspense、useTransition、错误边界、性能分析工具、代码分割等高级技术',
+            folder: 'Part4-并发特性与性能优化',
+            bank: 'part4.json',
+            order: 4
+        },
+        {
+            id: 'part14',
+            number: 14,
+            title: '安全与 SEO',
+            description: '学习 XSS/CSRF 防护、CSP、JWT 认证、OAuth 2.0、SEO 优化、Meta 标签、结构化数据等',
+            folder: 'Part14-安全与SEO',
+            bank: 'part14.json',
+            order: 5
+        },
+        {
+            // 早期版本把这一阶段编为 Part 19，id 沿用旧值以保留已有的学习记录
+            id: 'part19',
+            number: 17,
+            title: '面试突破',
+            description: '深入理解 Virtual DOM、Fiber、Diff 算法、Hooks 原理、Redux、性能优化、系统设计等面试高频考点',
+            folder: 'Part17-面试突破',
+            bank: 'part19.json',
+            order: 6
+        }
+    ],
+
+    // 按 order 排序的全部阶段
+    getAll() {
+        return [...this.STAGES].sort((a, b) => a.order - b.order);
+    },
+
+    getIds() {
+        return this.getAll().map(stage => stage.id);
+    },
+
+    get(stageId) {
+        return this.STAGES.find(stage => stage.id === stageId) || null;
+    },
+
+    // 展示用的完整名称，如 "Part 17: 面试突破"
+    getLabel(stage) {
+        return `Part ${stage.number}: ${stage.title}`;
+    },
+
+    // 按 order 相邻的阶段，没有时为 null
+    getNeighbors(stageId) {
+        const stages = this.getAll();
+        const index = stages.findIndex(stage => stage.id === stageId);
+        if (index === -1) {
+            return { previous: null, next: null };
+        }
+        return {
+            previous: stages[index - 1] || null,
+            next: stages[index + 1] || null
+        };
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StageRegistry;
+}
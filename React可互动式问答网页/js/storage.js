@@ -0,0 +1,28 @@
+// 本地存储工具：统一封装 localStorage 的 JSON 读写与异常处理
+const QuizStorage = {
+    get(key, fallback = null) {
+        try {
+            const item = window.localStorage.getItem(key);
+            return item ? JSON.parse(item) : fallback;
+        } catch (error) {
+            console.error(`Error reading localStorage key "${key}":`, error);
+            return fallback;
+        }
+    },
+
+    set(key, value) {
+        try {
+            window.localStorage.setItem(key, JSON.stringify(value));
+        } catch (error) {
+            console.error(`Error setting localStorage key "${key}":`, error);
+        }
+    },
+
+    remove(key) {
+        try {
+            window.localStorage.removeItem(key);
+        } catch (error) {
+            console.error(`Error removing localStorage key "${key}":`, error);
+        }
+    }
+};
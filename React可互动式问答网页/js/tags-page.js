@@ -0,0 +1,160 @@
+// 标签练习页面：汇总所有题库的标签，按任意标签组合开启练习
+// 支持通过 tags.html?tag=useEffect&tag=XSS 直接开始练习，tags.html?chapter=<章节路径> 练习与教程章节相关的题目
+// 标签索引在题库加载完成后由 initTagsPage 建立
+let tagIndex = new Map();
+const selectedTags = new Set();
+let tagMatchMode = 'any';
+let tagKeyword = '';
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+// any：包含任一选中标签；all：同时包含全部选中标签
+function collectTagQuestions(tags, matchMode) {
+    const questions = new Map();
+    tags.forEach(tag => {
+        (tagIndex.get(tag) || []).forEach(question => {
+            questions.set(`${question.stageId}:${question.id}`, question);
+        });
+    });
+
+    const result = [...questions.values()];
+    if (matchMode === 'all') {
+        return result.filter(question => tags.every(tag => question.tags.includes(tag)));
+    }
+    return result;
+}
+
+function renderTagBrowser() {
+    const container = document.getElementById('question-container');
+    const tags = [...tagIndex.entries()]
+        .filter(([tag]) => tag.toLowerCase().includes(tagKeyword.toLowerCase()));
+    const matched = collectTagQuestions([...selectedTags], tagMatchMode);
+
+    container.innerHTML = `
+        <div class="wrong-toolbar">
+            <input class="search-input" id="tag-search" type="search" placeholder="搜索标签…">
+            <div class="segmented">
+                <button class="segmented-item ${tagMatchMode === 'any' ? 'active' : ''}" data-match="any">包含任一标签</button>
+                <button class="segmented-item ${tagMatchMode === 'all' ? 'active' : ''}" data-match="all">包含全部标签</button>
+            </div>
+        </div>
+
+        <div class="wrong-group">
+            <div class="wrong-group-header">
+                <h2 class="wrong-group-title">全部标签 <span>(${tagIndex.size})</span></h2>
+                ${selectedTags.size > 0 ? '<button class="text-button" id="clear-tags">清空选择</button>' : ''}
+            </div>
+            <div class="tag-cloud">
+                ${tags.map(([tag, questions]) => `
+                    <button class="tag-chip ${selectedTags.has(tag) ? 'selected' : ''}" data-tag="${escapeHtml(tag)}">
+                        ${escapeHtml(tag)} <span class="tag-count">${questions.length}</span>
+                    </button>
+                `).join('')}
+            </div>
+        </div>
+
+        <div class="wrong-toolbar">
+            <span class="wrong-hint">已选 ${selectedTags.size} 个标签，共 ${matched.length} 道题</span>
+            <button class="nav-button next-button" id="start-tag-practice" ${matched.length === 0 ? 'disabled' : ''}>开始练习 →</button>
+        </div>
+    `;
+
+    const searchInput = document.getElementById('tag-search');
+    searchInput.value = tagKeyword;
+    searchInput.addEventListener('input', () => {
+        tagKeyword = searchInput.value;
+        renderTagBrowser();
+        const input = document.getElementById('tag-search');
+        input.focus();
+        input.setSelectionRange(input.value.length, input.value.length);
+    });
+
+    container.querySelectorAll('[data-match]').forEach(button => {
+        button.addEventListener('click', () => {
+            tagMatchMode = button.dataset.match;
+            renderTagBrowser();
+        });
+    });
+
+    container.querySelectorAll('[data-tag]').forEach(button => {
+        button.addEventListener('click', () => {
+            const tag = button.dataset.tag;
+            if (selectedTags.has(tag)) {
+                selectedTags.delete(tag);
+            } else {
+                selectedTags.add(tag);
+            }
+            renderTagBrowser();
+        });
+    });
+
+    const clearButton = document.getElementById('clear-tags');
+    if (clearButton) {
+        clearButton.addEventListener('click', () => {
+            selectedTags.clear();
+            renderTagBrowser();
+        });
+    }
+
+    document.getElementById('start-tag-practice').addEventListener('click', () => {
+        startTagPractice([...selectedTags], tagMatchMode);
+    });
+}
+
+function startPractice(icon, title, questions, stageId) {
+    document.querySelector('.quiz-title').textContent = `${icon} ${title}`;
+    document.getElementById('quiz-stats').hidden = false;
+    initQuiz(questions, title, {
+        stageId,
+        trackProgress: false,
+        sections: getSectionsByStage()
+    });
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+}
+
+// 不同的标签组合分别记录答题历史：tags:Hooks+useState，要求包含全部标签时再加上 :all
+function getTagPracticeStageId(tags, matchMode) {
+    return `tags:${[...tags].sort().join('+')}${matchMode === 'all' ? ':all' : ''}`;
+}
+
+function startTagPractice(tags, matchMode = 'any') {
+    startPractice('🏷️', `标签练习 · ${tags.join('、')}`, collectTagQuestions(tags, matchMode), getTagPracticeStageId(tags, matchMode));
+}
+
+// 章节测验：从教程阅读页的"测一测"进入，页头提供返回章节的链接
+function startChapterPractice(file) {
+    const questions = ChapterIndex.findQuestions(file, QUESTION_BANKS);
+    document.querySelector('.home-button').insertAdjacentHTML('beforebegin', `
+        <a href="${escapeHtml(ChapterIndex.getUrl(file))}" class="home-button">📖 返回章节</a>
+    `);
+    if (questions.length === 0) {
+        document.getElementById('question-container').innerHTML = `
+            <p class="empty-text">「${escapeHtml(ChapterIndex.getTitle(file))}」暂时没有相关的题目</p>
+        `;
+        return;
+    }
+    startPractice('🧪', `章节测验 · ${ChapterIndex.getTitle(file)}`, questions, `chapter:${file}`);
+}
+
+function initTagsPage() {
+    tagIndex = buildTagIndex();
+    const params = new URLSearchParams(window.location.search);
+    const chapter = params.get('chapter');
+    if (chapter) {
+        startChapterPractice(chapter);
+        return;
+    }
+
+    const tags = params.getAll('tag').filter(tag => tagIndex.has(tag));
+
+    if (tags.length > 0) {
+        tags.forEach(tag => selectedTags.add(tag));
+        startTagPractice(tags, params.get('match') === 'all' ? 'all' : 'any');
+    } else {
+        renderTagBrowser();
+    }
+}
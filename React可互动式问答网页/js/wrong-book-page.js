@@ -0,0 +1,176 @@
+// 错题本页面：按阶段或标签分组展示错题，并用错题开启 QuizSystem 练习
+let wrongBookGroupBy = 'stage';
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+function getOptionLabel(index) {
+    return String.fromCharCode(65 + index);
+}
+
+// 配对题的配对结果，例如 "A-2，B-1"
+function formatMatchPairs(pairs) {
+    return pairs
+        .map((target, index) => `${getOptionLabel(index)}-${target === null ? '?' : target + 1}`)
+        .join('，');
+}
+
+// 输入类题目的参考答案：填空题取每个空的第一个文字答案，输出预测题取第一个可接受的输出
+function getTextAnswer(question) {
+    if (question.type !== 'fill') {
+        return question.answer[0];
+    }
+    return question.answer
+        .map(accepted => {
+            const text = accepted.find(item => typeof item === 'string');
+            return text !== undefined ? text : accepted[0].pattern;
+        })
+        .join(' / ');
+}
+
+// 题库中已不存在的题目（被删除或改了 id）不再展示
+function loadWrongQuestions() {
+    return WrongBook.getEntries()
+        .map(entry => ({ entry, question: findQuestion(entry.stageId, entry.questionId) }))
+        .filter(item => item.question);
+}
+
+function groupWrongQuestions(items, groupBy) {
+    if (groupBy === 'stage') {
+        return QUESTION_BANKS
+            .map(bank => ({
+                title: bank.name,
+                items: items.filter(item => item.entry.stageId === bank.stageId)
+            }))
+            .filter(group => group.items.length > 0);
+    }
+
+    // 按标签分组时，一道题会出现在它的每个标签下
+    const groups = new Map();
+    items.forEach(item => {
+        item.question.tags.forEach(tag => {
+            if (!groups.has(tag)) {
+                groups.set(tag, []);
+            }
+            groups.get(tag).push(item);
+        });
+    });
+    return [...groups.entries()]
+        .map(([tag, groupItems]) => ({ title: tag, items: groupItems }))
+        .sort((a, b) => b.items.length - a.items.length);
+}
+
+function renderWrongItem({ entry, question }) {
+    const wrongPicks = Object.entries(entry.wrongPicks)
+        .map(([index, count]) => `${getOptionLabel(parseInt(index))}×${count}`)
+        .join('、');
+
+    return `
+        <li class="wrong-item">
+            <div class="wrong-question">${QuizMarkup.render(question.question)}</div>
+            ${question.code ? QuizMarkup.renderCodeBlock(question.code, 'jsx') : ''}
+            <div class="wrong-meta">
+                <span>答错 ${entry.missCount} 次</span>
+                ${wrongPicks ? `<span>错选 ${wrongPicks}</span>` : ''}
+                ${question.type === 'match' ? `
+                    <span>上次配对 ${formatMatchPairs(entry.lastSelected)}</span>
+                    <span>正确配对 ${formatMatchPairs(question.answer)}</span>
+                ` : question.type === 'order' ? `
+                    <span>上次顺序 ${entry.lastSelected.map(getOptionLabel).join(' → ')}</span>
+                    <span>正确顺序 ${question.answer.map(getOptionLabel).join(' → ')}</span>
+                ` : question.options ? `
+                    <span>上次选择 ${entry.lastSelected.map(getOptionLabel).join(', ')}</span>
+                    <span>正确答案 ${question.answer.map(getOptionLabel).join(', ')}</span>
+                ` : `
+                    <span>上次填写 ${escapeHtml(entry.lastSelected.join(' / '))}</span>
+                    <span>正确答案 ${escapeHtml(getTextAnswer(question))}</span>
+                `}
+                <span>连续答对 ${entry.streak}/${WrongBook.GRADUATE_STREAK}</span>
+            </div>
+            <div class="wrong-actions">
+                <div class="question-tags">
+                    ${question.tags.map(tag => `<a class="tag" href="tags.html?tag=${encodeURIComponent(tag)}">${escapeHtml(tag)}</a>`).join('')}
+                </div>
+                <button class="text-button" data-remove="${entry.key}">移出错题本</button>
+            </div>
+        </li>
+    `;
+}
+
+function renderWrongBook() {
+    const container = document.getElementById('question-container');
+    const items = loadWrongQuestions();
+
+    if (items.length === 0) {
+        container.innerHTML = `
+            <div class="completion-card">
+                <div class="completion-icon">🎉</div>
+                <h2 class="completion-title">错题本是空的</h2>
+                <p class="empty-text">答错的题目会自动收录到这里，连续答对 ${WrongBook.GRADUATE_STREAK} 次后自动移出。</p>
+                <div class="completion-buttons">
+                    <a href="../index.html" class="completion-button primary-button">去答题</a>
+                </div>
+            </div>
+        `;
+        return;
+    }
+
+    const groups = groupWrongQuestions(items, wrongBookGroupBy);
+
+    container.innerHTML = `
+        <div class="wrong-toolbar">
+            <div class="segmented">
+                <button class="segmented-item ${wrongBookGroupBy === 'stage' ? 'active' : ''}" data-group-by="stage">按阶段</button>
+                <button class="segmented-item ${wrongBookGroupBy === 'tag' ? 'active' : ''}" data-group-by="tag">按标签</button>
+            </div>
+            <span class="wrong-hint">共 ${items.length} 道错题，连续答对 ${WrongBook.GRADUATE_STREAK} 次后自动移出</span>
+            <button class="nav-button next-button" data-practice="all">练习全部错题 →</button>
+        </div>
+
+        ${groups.map((group, groupIndex) => `
+            <section class="wrong-group">
+                <div class="wrong-group-header">
+                    <h2 class="wrong-group-title">${escapeHtml(group.title)} <span>(${group.items.length})</span></h2>
+                    <button class="text-button" data-practice="${groupIndex}">练习本组</button>
+                </div>
+                <ul class="wrong-list">
+                    ${group.items.map(renderWrongItem).join('')}
+                </ul>
+            </section>
+        `).join('')}
+    `;
+
+    container.querySelectorAll('[data-group-by]').forEach(button => {
+        button.addEventListener('click', () => {
+            wrongBookGroupBy = button.dataset.groupBy;
+            renderWrongBook();
+        });
+    });
+
+    container.querySelectorAll('[data-practice]').forEach(button => {
+        button.addEventListener('click', () => {
+            const target = button.dataset.practice;
+            startWrongBookPractice(target === 'all' ? items : groups[parseInt(target)].items);
+        });
+    });
+
+    container.querySelectorAll('[data-remove]').forEach(button => {
+        button.addEventListener('click', () => {
+            WrongBook.remove(button.dataset.remove);
+            renderWrongBook();
+        });
+    });
+}
+
+function startWrongBookPractice(items) {
+    document.getElementById('quiz-stats').hidden = false;
+    initQuiz(items.map(item => item.question), '错题本练习', {
+        stageId: 'wrong-book',
+        trackProgress: false,
+        sections: getSectionsByStage()
+    });
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+}
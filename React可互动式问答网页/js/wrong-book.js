@@ -0,0 +1,62 @@
+// 错题本：跨阶段持久化记录答错的题目、错选的选项和答错次数
+// 记录以 "stageId:题目id" 为键，连续答对 GRADUATE_STREAK 次后自动移出
+const WrongBook = {
+    STORAGE_KEY: 'react19_wrong_book',
+    GRADUATE_STREAK: 3,
+
+    getAll() {
+        return QuizStorage.get(this.STORAGE_KEY, {});
+    },
+
+    // 按最近答错时间倒序返回所有错题记录
+    getEntries() {
+        return Object.values(this.getAll())
+            .sort((a, b) => b.lastWrongAt.localeCompare(a.lastWrongAt));
+    },
+
+    record(stageId, question, selectedIndices, isCorrect) {
+        const book = this.getAll();
+        const key = `${stageId}:${question.id}`;
+        const entry = book[key];
+
+        if (isCorrect) {
+            // 从未答错过的题目无需记录
+            if (!entry) return;
+            entry.streak++;
+            if (entry.streak >= this.GRADUATE_STREAK) {
+                delete book[key];
+            }
+        } else {
+            const updated = entry || {
+                key,
+                stageId,
+                questionId: question.id,
+                missCount: 0,
+                wrongPicks: {},
+                streak: 0,
+                firstWrongAt: new Date().toISOString()
+            };
+            updated.missCount++;
+            updated.streak = 0;
+            updated.lastSelected = selectedIndices;
+            updated.lastWrongAt = new Date().toISOString();
+            // 只有选择类题目才统计错选的选项
+            if (question.options) {
+                selectedIndices
+                    .filter(index => !question.answer.includes(index))
+                    .forEach(index => {
+                        updated.wrongPicks[index] = (updated.wrongPicks[index] || 0) + 1;
+                    });
+            }
+            book[key] = updated;
+        }
+
+        QuizStorage.set(this.STORAGE_KEY, book);
+    },
+
+    remove(key) {
+        const book = this.getAll();
+        delete book[key];
+        QuizStorage.set(this.STORAGE_KEY, book);
+    }
+};
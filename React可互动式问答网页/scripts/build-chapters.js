@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+// 生成教程目录清单 data/chapters.json：浏览器无法列出本地目录，阅读页的侧边栏从这份清单生成
+// 用法：node scripts/build-chapters.js [--check]，--check 只检查清单是否与教程目录一致，不一致时以非零状态退出
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+// 教程目录在问答网页目录的上一级
+const TUTORIAL_ROOT = path.resolve(ROOT, '..');
+const MANIFEST_FILE = path.join(ROOT, 'data', 'chapters.json');
+const FORMAT_VERSION = 1;
+const PART_PATTERN = /^Part(\d+)-(.+)$/;
+
+// 先按文件名开头的序号排序（"2-" 排在 "10-" 前面），序号相同时按码位排序，结果不受系统语言环境影响
+function compareNames(a, b) {
+    const number = name => parseInt(name) || 0;
+    return number(a) - number(b) || (a < b ? -1 : a > b ? 1 : 0);
+}
+
+// 章节标题取文件名去掉序号和扩展名，与 js/chapters.js 中的链接文字一致
+function getChapterTitle(name) {
+    return name.replace(/\.md$/, '').replace(/^\d+-/, '');
+}
+
+function buildManifest(root = TUTORIAL_ROOT) {
+    const parts = fs.readdirSync(root, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && PART_PATTERN.test(entry.name))
+        .map(entry => {
+            const [, number, title] = entry.name.match(PART_PATTERN);
+            const chapters = fs.readdirSync(path.join(root, entry.name))
+                .filter(name => name.endsWith('.md'))
+                .sort(compareNames)
+                .map(name => ({ file: `${entry.name}/${name}`, title: getChapterTitle(name) }));
+            return { folder: entry.name, number: parseInt(number), title, chapters };
+        })
+        .filter(part => part.chapters.length > 0)
+        .sort((a, b) => a.number - b.number);
+    return { formatVersion: FORMAT_VERSION, parts };
+}
+
+function serialize(manifest) {
+    return JSON.stringify(manifest, null, 4) + '\n';
+}
+
+// 清单是否与教程目录一致
+function isManifestCurrent() {
+    return fs.existsSync(MANIFEST_FILE) && fs.readFileSync(MANIFEST_FILE, 'utf8') === serialize(buildManifest());
+}
+
+function main(args) {
+    if (args.includes('--check')) {
+        if (isManifestCurrent()) {
+            console.log('教程目录清单是最新的');
+            return 0;
+        }
+        console.error('data/chapters.json 与教程目录不一致，请运行 npm run build:chapters');
+        return 1;
+    }
+
+    const manifest = buildManifest();
+    fs.writeFileSync(MANIFEST_FILE, serialize(manifest));
+    const count = manifest.parts.reduce((sum, part) => sum + part.chapters.length, 0);
+    console.log(`已生成 data/chapters.json：${manifest.parts.length} 个部分，${count} 个章节`);
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { buildManifest, isManifestCurrent };
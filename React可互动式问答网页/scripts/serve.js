@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+// 本地静态服务器：题库以 JSON 文件按需加载，浏览器不允许页面通过 file:// 读取本地文件，需要经由 http 访问
+// 用法：node scripts/serve.js [端口]，默认 8080；只监听本机地址，不访问任何外部网络
+// 服务根目录是整个项目，解析中的延伸阅读会链接到与问答网页同级的教程目录
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const APP_ROOT = path.resolve(__dirname, '..');
+const ROOT = path.resolve(APP_ROOT, '..');
+// 问答网页的访问路径，访问根路径时跳转到这里
+const APP_PATH = `/${encodeURIComponent(path.basename(APP_ROOT))}/`;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.ico': 'image/x-icon'
+};
+
+// 把请求路径映射到 root 下的文件，越出 root 的路径返回 null
+function resolveFile(root, url) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(url, 'http://localhost').pathname);
+    } catch (error) {
+        return null;
+    }
+    const file = path.join(root, pathname);
+    return file === root || file.startsWith(root + path.sep) ? file : null;
+}
+
+function send(response, status, body, headers = {}) {
+    response.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8', ...headers });
+    response.end(body);
+}
+
+function createServer(root = ROOT) {
+    return http.createServer((request, response) => {
+        if (request.method !== 'GET' && request.method !== 'HEAD') {
+            send(response, 405, 'Method Not Allowed');
+            return;
+        }
+
+        if (request.url === '/') {
+            send(response, 302, '', { Location: APP_PATH });
+            return;
+        }
+
+        const resolved = resolveFile(root, request.url);
+        if (!resolved) {
+            send(response, 403, 'Forbidden');
+            return;
+        }
+
+        fs.stat(resolved, (statError, stats) => {
+            const file = !statError && stats.isDirectory() ? path.join(resolved, 'index.html') : resolved;
+            fs.readFile(file, (readError, data) => {
+                if (readError) {
+                    send(response, 404, 'Not Found');
+                    return;
+                }
+                response.writeHead(200, {
+                    'Content-Type': CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+                    // 题库和脚本修改后刷新即可生效
+                    'Cache-Control': 'no-cache'
+                });
+                response.end(request.method === 'HEAD' ? undefined : data);
+            });
+        });
+    });
+}
+
+if (require.main === module) {
+    const port = parseInt(process.argv[2] || process.env.PORT || '8080');
+    createServer().listen(port, '127.0.0.1', () => {
+        console.log(`问答网页已启动：http://localhost:${port}${APP_PATH}`);
+    });
+}
+
+module.exports = { APP_PATH, createServer, resolveFile };
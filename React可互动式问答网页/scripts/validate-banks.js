@@ -0,0 +1,345 @@
+#!/usr/bin/env node
+// 题库校验：检查 data/banks/*.json 的文件格式，以及每道题的字段、答案范围、解析和章节划分
+// 同时核对 js/stages.js 中登记的题库文件和教程目录、题目 refs 和 js/chapters.js 中引用的教程章节是否存在
+// 用法：node scripts/validate-banks.js [题库文件...]，不传参数时校验全部题库；发现问题时以非零状态退出
+const fs = require('fs');
+const path = require('path');
+const { isMultipleScoringPolicy } = require('../js/quiz-engine.js');
+const StageRegistry = require('../js/stages.js');
+const ChapterIndex = require('../js/chapters.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const BANK_DIR = path.join(ROOT, 'data', 'banks');
+// 教程目录在问答网页目录的上一级
+const TUTORIAL_ROOT = path.resolve(ROOT, '..');
+const BANK_PATTERN = /^part\d+\.json$/;
+// 与 js/bank-loader.js 中的 BankLoader.FORMAT_VERSION 保持一致
+const FORMAT_VERSION = 1;
+
+const CHOICE_TYPES = ['single', 'multiple', 'judge'];
+const TYPES = [...CHOICE_TYPES, 'predict', 'fill', 'order', 'match'];
+
+function listBankFiles() {
+    return fs.readdirSync(BANK_DIR)
+        .filter(file => BANK_PATTERN.test(file))
+        .sort((a, b) => parseInt(a.match(/\d+/)[0]) - parseInt(b.match(/\d+/)[0]))
+        .map(file => path.join(BANK_DIR, file));
+}
+
+// 读取题库文件；JSON 损坏时抛出带文件名的错误
+function loadBank(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`不是有效的 JSON：${error.message}`);
+    }
+}
+
+// 文件层面的字段：格式版本，以及与注册表一致的阶段 id
+function checkBankFile(bank, file, report) {
+    if (!bank || typeof bank !== 'object' || Array.isArray(bank)) {
+        report('题库文件的顶层必须是对象');
+        return false;
+    }
+    if (bank.formatVersion !== FORMAT_VERSION) {
+        report(`formatVersion 应为 ${FORMAT_VERSION}，实际为 ${JSON.stringify(bank.formatVersion)}`);
+    }
+    const stage = StageRegistry.STAGES.find(item => item.bank === path.basename(file));
+    if (!stage) {
+        report('没有在 js/stages.js 中登记');
+    } else if (bank.stageId !== stage.id) {
+        report(`stageId ${JSON.stringify(bank.stageId)} 与注册表中的阶段 ${stage.id} 不一致`);
+    }
+    return true;
+}
+
+// 注册表本身：id 和 order 不重复，登记的题库文件和教程目录都存在
+function validateRegistry(stages = StageRegistry.STAGES) {
+    const problems = [];
+    const ids = new Set();
+    const orders = new Set();
+    stages.forEach(stage => {
+        const report = message => problems.push(`${stage.id}: ${message}`);
+        if (ids.has(stage.id)) report('id 重复');
+        if (orders.has(stage.order)) report(`order ${stage.order} 重复`);
+        ids.add(stage.id);
+        orders.add(stage.order);
+        if (!fs.existsSync(path.join(BANK_DIR, stage.bank))) {
+            report(`题库文件 data/banks/${stage.bank} 不存在`);
+        }
+        if (!fs.existsSync(path.join(TUTORIAL_ROOT, stage.folder))) {
+            report(`教程目录 ${stage.folder} 不存在`);
+        }
+    });
+    return problems;
+}
+
+// 章节引用相对教程根目录，锚点不参与检查
+function chapterExists(ref) {
+    const { file } = ChapterIndex.parseRef(ref);
+    const resolved = path.resolve(TUTORIAL_ROOT, file);
+    return file.endsWith('.md') && resolved.startsWith(TUTORIAL_ROOT + path.sep) && fs.existsSync(resolved);
+}
+
+// 标签 -> 章节映射中的每个文件都必须存在
+function validateChapterIndex(tagChapters = ChapterIndex.TAG_CHAPTERS) {
+    const problems = [];
+    Object.entries(tagChapters).forEach(([tag, refs]) => {
+        refs.filter(ref => !chapterExists(ref)).forEach(ref => {
+            problems.push(`标签「${tag}」引用的章节 ${ref} 不存在`);
+        });
+    });
+    return problems;
+}
+
+function isIndexIn(list, index) {
+    return Number.isInteger(index) && index >= 0 && index < list.length;
+}
+
+// 排序、配对题的答案必须是 0..length-1 的一个排列
+function isPermutation(answer, length) {
+    return answer.length === length && [...answer].sort((a, b) => a - b).every((value, index) => value === index);
+}
+
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim() !== '';
+}
+
+// 有选项且按选项序号作答的题目（含带选项的输出预测题）
+function isChoiceQuestion(question) {
+    return CHOICE_TYPES.includes(question.type) || (question.type === 'predict' && Array.isArray(question.options));
+}
+
+function checkAnswer(question, report) {
+    const { type, options, answer } = question;
+    if (!Array.isArray(answer) || answer.length === 0) {
+        report('answer 必须是非空数组');
+        return;
+    }
+
+    if (type === 'fill') {
+        const blanks = question.question.split(/_{3,}/).length - 1;
+        if (answer.length !== blanks) {
+            report(`题干有 ${blanks} 个空，answer 却有 ${answer.length} 项`);
+        }
+        answer.forEach((accepted, index) => {
+            if (!Array.isArray(accepted) || accepted.length === 0) {
+                report(`第 ${index + 1} 个空没有可接受的答案`);
+                return;
+            }
+            accepted.forEach(item => {
+                if (typeof item === 'string') {
+                    if (item.trim() === '') report(`第 ${index + 1} 个空有空字符串答案`);
+                    return;
+                }
+                if (!item || typeof item !== 'object' || typeof item.pattern !== 'string') {
+                    report(`第 ${index + 1} 个空的答案必须是字符串或 { pattern, flags } 对象`);
+                    return;
+                }
+                try {
+                    new RegExp(item.pattern, item.flags);
+                } catch (error) {
+                    report(`第 ${index + 1} 个空的正则无效：${error.message}`);
+                }
+            });
+        });
+        return;
+    }
+    if (type === 'predict' && !options) {
+        if (!answer.every(isNonEmptyString)) {
+            report('输出预测题的答案必须是非空字符串');
+        }
+        return;
+    }
+    if (type === 'order') {
+        if (!isPermutation(answer, options.length)) {
+            report('排序题 answer 必须包含每个选项各一次');
+        }
+        return;
+    }
+    if (type === 'match') {
+        if (!Array.isArray(question.targets) || question.targets.length !== options.length) {
+            report('配对题 targets 数量必须与 options 相同');
+        } else if (!isPermutation(answer, question.targets.length)) {
+            report('配对题 answer 必须让每个右列条目恰好配对一次');
+        }
+        return;
+    }
+
+    answer.filter(index => !isIndexIn(options, index)).forEach(index => {
+        report(`answer 中的 ${JSON.stringify(index)} 超出选项范围（共 ${options.length} 个选项）`);
+    });
+    if (new Set(answer).size !== answer.length) {
+        report('answer 有重复的选项');
+    }
+    if (type === 'judge' && options.length !== 2) {
+        report(`判断题应有 2 个选项，实际有 ${options.length} 个`);
+    }
+    if (type !== 'multiple' && answer.length > 1) {
+        report(`${type === 'judge' ? '判断题' : '单选题'}有 ${answer.length} 个答案`);
+    }
+}
+
+function checkExplanation(question, report) {
+    const { explanation } = question;
+    if (!explanation || !isNonEmptyString(explanation.correct)) {
+        report('缺少 explanation.correct');
+        return;
+    }
+
+    Object.keys(explanation.wrong || {}).forEach(key => {
+        const index = Number(key);
+        if (!Array.isArray(question.options) || !isIndexIn(question.options, index)) {
+            report(`explanation.wrong 的键 ${key} 没有对应的选项`);
+        } else if (isChoiceQuestion(question) && Array.isArray(question.answer) && question.answer.includes(index)) {
+            // 配对题以左列条目为键，排序题每个选项都有位置，不存在"正确选项"
+            report(`explanation.wrong 的键 ${key} 指向正确选项`);
+        }
+    });
+}
+
+function checkQuestion(question, report) {
+    if (!TYPES.includes(question.type)) {
+        report(`未知题型 ${JSON.stringify(question.type)}`);
+        return;
+    }
+    if (!isNonEmptyString(question.question)) {
+        report('题干为空');
+        return;
+    }
+    if (!Array.isArray(question.tags) || question.tags.length === 0) {
+        report('tags 为空');
+    } else if (!question.tags.every(isNonEmptyString)) {
+        report('tags 中有空字符串');
+    }
+    if (Array.isArray(question.options)) {
+        if (!question.options.every(isNonEmptyString)) {
+            report('options 中有空选项');
+        }
+    } else if (question.type !== 'fill' && question.type !== 'predict') {
+        report('缺少 options');
+        return;
+    }
+    if (question.type === 'predict' && typeof question.code !== 'string') {
+        report('输出预测题缺少 code');
+    }
+    if (question.scoring !== undefined && !isMultipleScoringPolicy(question.scoring)) {
+        report(`未知的计分方式 ${JSON.stringify(question.scoring)}`);
+    }
+    checkAnswer(question, report);
+    checkExplanation(question, report);
+    checkRefs(question, report);
+}
+
+function checkRefs(question, report) {
+    if (question.refs === undefined) {
+        return;
+    }
+    if (!Array.isArray(question.refs) || !question.refs.every(isNonEmptyString)) {
+        report('refs 必须是章节路径组成的数组');
+        return;
+    }
+    question.refs.filter(ref => !chapterExists(ref)).forEach(ref => {
+        report(`refs 中的章节 ${ref} 不存在`);
+    });
+}
+
+function checkSections(sections, questions, report) {
+    if (!Array.isArray(sections)) {
+        report('缺少章节划分 sections');
+        return;
+    }
+    let next = 1;
+    sections.forEach((section, index) => {
+        if (!section || typeof section !== 'object') {
+            report(`第 ${index + 1} 个章节必须是对象`);
+            return;
+        }
+        if (section.from !== next || !(section.to >= section.from)) {
+            report(`章节「${section.title}」的范围 ${section.from}-${section.to} 不连续，应从第 ${next} 题开始`);
+        }
+        next = section.to + 1;
+    });
+    if (next - 1 !== questions.length) {
+        report(`章节划分覆盖到第 ${next - 1} 题，题库共有 ${questions.length} 题`);
+    }
+}
+
+// 返回问题列表：[{ id, message }]，id 为 null 表示整个题库的问题
+function validateBank(questions, sections) {
+    const problems = [];
+    if (!Array.isArray(questions)) {
+        return [{ id: null, message: '没有找到题目数组' }];
+    }
+
+    const seen = new Set();
+    questions.forEach((question, index) => {
+        if (!question || typeof question !== 'object' || Array.isArray(question)) {
+            problems.push({ id: null, message: `第 ${index + 1} 道题必须是对象` });
+            return;
+        }
+        const id = question.id;
+        const report = message => problems.push({ id, message });
+        if (!Number.isInteger(id) || id < 1) {
+            problems.push({ id: null, message: `第 ${index + 1} 道题的 id ${JSON.stringify(id)} 无效` });
+        } else if (seen.has(id)) {
+            report('id 重复');
+        } else if (id !== index + 1) {
+            report(`id 不连续，应为 ${index + 1}`);
+        }
+        seen.add(id);
+        checkQuestion(question, report);
+    });
+    checkSections(sections, questions, message => problems.push({ id: null, message }));
+    return problems;
+}
+
+function validateFile(file) {
+    const problems = [];
+    let bank;
+    try {
+        bank = loadBank(file);
+    } catch (error) {
+        return [{ id: null, message: `无法加载：${error.message}` }];
+    }
+    if (!checkBankFile(bank, file, message => problems.push({ id: null, message }))) {
+        return problems;
+    }
+    return problems.concat(validateBank(bank.questions, bank.sections));
+}
+
+function main(args) {
+    const files = args.length > 0 ? args.map(file => path.resolve(file)) : listBankFiles();
+    let total = 0;
+
+    if (args.length === 0) {
+        const registryProblems = validateRegistry();
+        registryProblems.forEach(message => console.error(`js/stages.js ${message}`));
+        const chapterProblems = validateChapterIndex();
+        chapterProblems.forEach(message => console.error(`js/chapters.js: ${message}`));
+        total += registryProblems.length + chapterProblems.length;
+    }
+
+    files.forEach(file => {
+        const name = path.relative(process.cwd(), file);
+        const problems = validateFile(file);
+        problems.forEach(({ id, message }) => {
+            console.error(`${name}${id === null ? '' : ` #${id}`}: ${message}`);
+        });
+        total += problems.length;
+    });
+
+    if (total > 0) {
+        console.error(`\n共发现 ${total} 个问题`);
+        return 1;
+    }
+    console.log(`已校验 ${files.length} 个题库，没有发现问题`);
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { FORMAT_VERSION, listBankFiles, loadBank, validateBank, validateFile, validateRegistry, validateChapterIndex };
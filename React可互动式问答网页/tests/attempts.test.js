@@ -0,0 +1,200 @@
+// 答题记录：完成一轮后保存记录，正确率走势图，比较两次作答，以及答题记录页面
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const AttemptHistory = require('../js/attempts.js');
+const { loadPage, startQuiz, settle } = require('./helpers/page');
+const { single } = require('./helpers/fixtures');
+
+function attempt(accuracy, outcomes = [], finishedAt = '2026-03-10T09:05:00') {
+    return {
+        title: '测试练习',
+        mode: 'practice',
+        startedAt: null,
+        finishedAt,
+        duration: 95,
+        total: outcomes.length,
+        correctCount: outcomes.filter(([, status]) => status === 'correct').length,
+        totalScore: 0,
+        accuracy,
+        outcomes: outcomes.map(([key, status]) => ({ key, status }))
+    };
+}
+
+describe('AttemptHistory', () => {
+    test('比较两次作答中都出现的题目', () => {
+        const before = attempt(25, [['part1:1', 'incorrect'], ['part1:2', 'correct'], ['part1:3', 'unanswered'], ['part1:4', 'partial']]);
+        const after = attempt(50, [['part1:4', 'correct'], ['part1:2', 'incorrect'], ['part1:3', 'correct'], ['part1:9', 'correct']]);
+        assert.deepEqual(AttemptHistory.compare(before, after), {
+            common: 3,
+            fixed: ['part1:4', 'part1:3'],
+            regressed: ['part1:2']
+        });
+    });
+
+    test('用时格式', () => {
+        assert.equal(AttemptHistory.formatDuration(45), '45 秒');
+        assert.equal(AttemptHistory.formatDuration(125), '2 分 5 秒');
+        assert.equal(AttemptHistory.formatDuration(null), '—');
+    });
+
+    test('走势图每次作答一个点，纵轴 100% 在最上方', () => {
+        const svg = AttemptHistory.renderChart([attempt(40), attempt(100), attempt(70)], { width: 400, height: 200 });
+        const { document } = new JSDOM(svg).window;
+        const points = [...document.querySelectorAll('circle')];
+        assert.equal(points.length, 3);
+        assert.equal(points[1].getAttribute('cy'), '16');
+        assert.ok(Number(points[0].getAttribute('cy')) > Number(points[2].getAttribute('cy')));
+        assert.equal(document.querySelector('polyline').getAttribute('points').split(' ').length, 3);
+        assert.match(points[2].querySelector('title').textContent, /第 3 次 · 3\/10 09:05 · 70%/);
+        assert.equal(AttemptHistory.renderChart([]), '');
+    });
+});
+
+describe('保存答题记录', () => {
+    test('完成一轮后记录模式、用时和每道题的结果', t => {
+        const { window, document } = startQuiz([single(1, 0), single(2, 0), single(3, 0)]);
+        t.after(() => window.close());
+
+        const click = index => document.querySelectorAll('#options-list .option-item')[index].click();
+        click(0);
+        document.getElementById('next-button').click();
+        click(1);
+        document.getElementById('next-button').click();
+        click(0);
+        document.getElementById('next-button').click();
+
+        const [saved] = JSON.parse(window.localStorage.getItem('react19_attempt_history')).test;
+        assert.equal(saved.title, '测试练习');
+        assert.equal(saved.mode, 'practice');
+        assert.equal(saved.accuracy, 67);
+        assert.equal(typeof saved.duration, 'number');
+        assert.ok(saved.startedAt <= saved.finishedAt);
+        assert.deepEqual(saved.outcomes.map(outcome => outcome.status), ['correct', 'incorrect', 'correct']);
+        assert.deepEqual(saved.outcomes.map(outcome => outcome.key), ['test:1', 'test:2', 'test:3']);
+
+        const link = [...document.querySelectorAll('.completion-buttons a')].find(item => item.textContent.includes('答题记录'));
+        assert.equal(link.getAttribute('href'), 'history.html?stage=test');
+    });
+
+    test('每个阶段最多保留 MAX_ATTEMPTS 条记录', t => {
+        const history = { test: Array.from({ length: AttemptHistory.MAX_ATTEMPTS }, (_, index) => attempt(index)) };
+        const { window, quiz } = startQuiz([single(1, 0)], {}, { storage: { react19_attempt_history: JSON.stringify(history) } });
+        t.after(() => window.close());
+        quiz.engine.finish();
+
+        const saved = JSON.parse(window.localStorage.getItem('react19_attempt_history')).test;
+        assert.equal(saved.length, AttemptHistory.MAX_ATTEMPTS);
+        assert.equal(saved[0].accuracy, 1);
+        assert.equal(saved[saved.length - 1].accuracy, 0);
+    });
+});
+
+describe('答题记录页面', () => {
+    const history = {
+        part1: [
+            attempt(33, [['part1:1', 'incorrect'], ['part1:2', 'correct'], ['part1:3', 'incorrect']], '2026-03-01T10:00:00'),
+            attempt(67, [['part1:1', 'correct'], ['part1:2', 'incorrect'], ['part1:3', 'correct']], '2026-03-05T10:00:00'),
+            attempt(100, [['part1:1', 'correct'], ['part1:2', 'correct'], ['part1:3', 'correct']], '2026-03-09T10:00:00')
+        ],
+        'wrong-book': [attempt(50)]
+    };
+
+    function openHistory(query) {
+        return loadPage('pages/history.html', { query, storage: { react19_attempt_history: JSON.stringify(history) } });
+    }
+
+    test('显示成绩概览、走势图和全部记录', async t => {
+        const window = openHistory('?stage=part1');
+        t.after(() => window.close());
+        await settle();
+        const { document } = window;
+        assert.equal(document.querySelector('.history-tabs .selected').firstChild.textContent.trim(), 'Part 1: React 核心基础');
+        assert.equal(document.querySelectorAll('.attempt-chart circle').length, 3);
+        const stats = [...document.querySelectorAll('.completion-stat-value')].map(item => item.textContent);
+        assert.deepEqual(stats, ['3', '100%', '100%', '1 分 35 秒']);
+        const rows = [...document.querySelectorAll('.attempt-table tbody tr')].map(row => row.firstElementChild.textContent);
+        assert.deepEqual(rows, ['3', '2', '1']);
+    });
+
+    test('默认比较最近两次，可以选择任意两次', async t => {
+        const window = openHistory('?stage=part1');
+        t.after(() => window.close());
+        await settle();
+        const { document } = window;
+        const compare = document.getElementById('attempt-compare');
+        assert.match(compare.textContent, /两次共有 3 道相同的题目，1 道从答错变为答对，0 道从答对变为答错/);
+        assert.match(compare.querySelector('.wrong-question').textContent, /JSX中哪些是合法的写法/);
+
+        const before = document.getElementById('compare-before');
+        before.value = '0';
+        before.dispatchEvent(new window.Event('change'));
+        assert.match(compare.textContent, /2 道从答错变为答对，0 道从答对变为答错/);
+
+        document.getElementById('compare-after').value = '1';
+        document.getElementById('compare-after').dispatchEvent(new window.Event('change'));
+        assert.match(compare.textContent, /2 道从答错变为答对，1 道从答对变为答错/);
+    });
+
+    test('自定义组合的记录单独列出，没有记录的阶段给出练习入口', async t => {
+        const window = openHistory('?stage=part2');
+        t.after(() => window.close());
+        await settle();
+        const { document } = window;
+        const tabs = [...document.querySelectorAll('.history-tabs .tag-chip')].map(tab => tab.firstChild.textContent.trim());
+        assert.equal(tabs[tabs.length - 1], '错题本');
+        assert.match(document.getElementById('question-container').textContent, /「Part 2: Hooks 深入掌握」还没有完成过的答题记录/);
+        assert.equal(document.querySelector('.completion-buttons a').getAttribute('href'), 'quiz.html?stage=part2');
+    });
+
+    test('标签练习和章节测验按具体的组合分别列出', async t => {
+        const window = loadPage('pages/history.html', {
+            query: '?stage=' + encodeURIComponent('tags:useEffect+useState'),
+            storage: {
+                react19_attempt_history: JSON.stringify({
+                    'tags:useEffect+useState': [attempt(50), attempt(100)],
+                    'tags:useEffect+useState:all': [attempt(80)],
+                    'chapter:Part2-Hooks深入掌握/02-useState基础与进阶.md': [attempt(60)]
+                })
+            }
+        });
+        t.after(() => window.close());
+        await settle();
+        const { document } = window;
+        const tabs = [...document.querySelectorAll('.history-tabs .tag-chip')].map(tab => tab.firstChild.textContent.trim());
+        assert.deepEqual(tabs.slice(-3), [
+            '标签练习 · useEffect、useState',
+            '标签练习 · useEffect、useState（全部包含）',
+            '章节测验 · Part 2 · useState基础与进阶'
+        ]);
+        assert.equal(document.querySelectorAll('.attempt-chart circle').length, 2);
+    });
+
+    test('标签练习的记录不受标签的选择顺序影响，匹配方式不同时分开记录', async t => {
+        const stageIdFor = async query => {
+            const window = loadPage('pages/tags.html', { query });
+            t.after(() => window.close());
+            await settle();
+            window.document.body.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'ArrowRight', bubbles: true }));
+            return Object.keys(window.localStorage).find(key => key.startsWith('react19_quiz_session_'));
+        };
+        assert.equal(await stageIdFor('?tag=最佳实践&tag=useEffect'), 'react19_quiz_session_tags:useEffect+最佳实践');
+        assert.equal(await stageIdFor('?tag=useEffect&tag=最佳实践'), 'react19_quiz_session_tags:useEffect+最佳实践');
+        assert.equal(await stageIdFor('?tag=useEffect&tag=最佳实践&match=all'), 'react19_quiz_session_tags:useEffect+最佳实践:all');
+    });
+
+    test('只有一次记录时提示再完成一次后比较', async t => {
+        const window = openHistory('?stage=wrong-book');
+        t.after(() => window.close());
+        await settle();
+        assert.match(window.document.getElementById('question-container').textContent, /再完成一次后可以比较两次作答的变化/);
+        assert.equal(window.document.title, '错题本 · 答题记录 - React 19 问答系统');
+    });
+
+    test('不带参数时打开第一个有记录的阶段', async t => {
+        const window = openHistory('');
+        t.after(() => window.close());
+        await settle();
+        assert.equal(window.document.querySelectorAll('.attempt-table tbody tr').length, 3);
+    });
+});
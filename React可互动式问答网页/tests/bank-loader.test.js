@@ -0,0 +1,80 @@
+// 题库加载：阶段练习页按地址栏加载 JSON 题库，文件缺失、损坏或版本不符时显示错误页
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, settle } = require('./helpers/page');
+
+function openStage(query, files) {
+    return loadPage('pages/quiz.html', { query, files });
+}
+
+function getErrors(document) {
+    return [...document.querySelectorAll('.load-errors li')].map(item => item.textContent);
+}
+
+describe('阶段练习页', () => {
+    test('按 stage 参数加载题库并显示第一题', async t => {
+        const window = openStage('?stage=part3');
+        t.after(() => window.close());
+        const { document } = window;
+        assert.ok(document.querySelector('.loading-text'));
+
+        await settle();
+        assert.equal(document.querySelector('.quiz-title').textContent, 'Part 3: React 19 核心新特性');
+        assert.equal(document.title, 'Part 3: React 19 核心新特性 - React 19 问答系统');
+        assert.match(document.querySelector('.question-text').textContent, /React Server Components/);
+        assert.equal(document.getElementById('shuffle-link').getAttribute('href'), '?stage=part3&shuffle=all');
+    });
+
+    test('未知阶段显示错误页', async t => {
+        const window = openStage('?stage=part99');
+        t.after(() => window.close());
+        await settle();
+        assert.deepEqual(getErrors(window.document), ['没有找到阶段「part99」的题库']);
+        assert.equal(window.document.querySelector('.quiz-stats').hidden, true);
+    });
+
+    test('题库文件不存在', async t => {
+        const window = openStage('?stage=part2', { 'data/banks/part2.json': null });
+        t.after(() => window.close());
+        await settle();
+        assert.deepEqual(getErrors(window.document), ['题库文件 part2.json 不存在或无法读取（HTTP 404）']);
+    });
+
+    test('题库文件不是有效的 JSON', async t => {
+        const window = openStage('?stage=part2', { 'data/banks/part2.json': '{"formatVersion": 1, "questions": [' });
+        t.after(() => window.close());
+        await settle();
+        assert.deepEqual(getErrors(window.document), ['题库文件 part2.json 已损坏，不是有效的 JSON']);
+    });
+
+    test('格式版本不兼容', async t => {
+        const bank = { formatVersion: 2, stageId: 'part2', name: '新格式', sections: [], questions: [] };
+        const window = openStage('?stage=part2', { 'data/banks/part2.json': JSON.stringify(bank) });
+        t.after(() => window.close());
+        await settle();
+        assert.deepEqual(getErrors(window.document), ['题库文件 part2.json 的格式版本（2）与当前页面（1）不兼容']);
+    });
+});
+
+describe('跨阶段页面', () => {
+    test('部分题库失败时提示并继续使用其余题库', async t => {
+        const window = loadPage('pages/tags.html', { files: { 'data/banks/part4.json': null } });
+        t.after(() => window.close());
+        await settle();
+        const { document } = window;
+        assert.match(document.querySelector('.load-warning').textContent, /part4\.json/);
+        assert.equal(document.querySelector('.load-errors'), null);
+        assert.ok(document.querySelectorAll('#question-container *').length > 0);
+    });
+
+    test('全部题库失败时显示错误页', async t => {
+        const files = {};
+        ['part1', 'part2', 'part3', 'part4', 'part14', 'part19'].forEach(stageId => {
+            files[`data/banks/${stageId}.json`] = null;
+        });
+        const window = loadPage('pages/tags.html', { files });
+        t.after(() => window.close());
+        await settle();
+        assert.equal(getErrors(window.document).length, 6);
+    });
+});
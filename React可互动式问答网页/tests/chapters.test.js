@@ -0,0 +1,60 @@
+// 延伸阅读：题目 refs 和标签映射到教程章节，解析中显示章节链接
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const ChapterIndex = require('../js/chapters.js');
+const { startQuiz } = require('./helpers/page');
+const { single } = require('./helpers/fixtures');
+
+describe('ChapterIndex', () => {
+    test('refs 优先，标签映射去重后补充，最多 3 条', () => {
+        const question = {
+            tags: ['useMemo', 'useCallback'],
+            refs: ['Part2-Hooks深入掌握/05-useMemo计算缓存.md']
+        };
+        assert.deepEqual(ChapterIndex.getRefs(question), [
+            'Part2-Hooks深入掌握/05-useMemo计算缓存.md',
+            'Part4-并发特性与性能优化/19-useMemo使用场景.md',
+            'Part2-Hooks深入掌握/06-useCallback函数缓存.md'
+        ]);
+    });
+
+    test('同一阶段目录的章节排在前面', () => {
+        const refs = ChapterIndex.getRefs({ tags: ['useMemo'] }, 'Part4-并发特性与性能优化');
+        assert.deepEqual(refs, [
+            'Part4-并发特性与性能优化/19-useMemo使用场景.md',
+            'Part2-Hooks深入掌握/05-useMemo计算缓存.md'
+        ]);
+    });
+
+    test('没有匹配的标签时为空', () => {
+        assert.deepEqual(ChapterIndex.getRefs({ tags: ['面试技巧之外'] }), []);
+    });
+
+    test('链接文字和地址', () => {
+        const ref = 'Part2-Hooks深入掌握/02-useState基础与进阶.md#惰性初始化';
+        assert.equal(ChapterIndex.getTitle(ref), 'Part 2 · useState基础与进阶 › 惰性初始化');
+        assert.equal(ChapterIndex.getUrl(ref), `reader.html?file=${encodeURIComponent('Part2-Hooks深入掌握/02-useState基础与进阶.md')}#${encodeURIComponent('惰性初始化')}`);
+        assert.equal(ChapterIndex.getFileUrl('Part2-Hooks深入掌握/02-useState基础与进阶.md'), `../../${encodeURIComponent('Part2-Hooks深入掌握')}/${encodeURIComponent('02-useState基础与进阶.md')}`);
+    });
+});
+
+describe('解析中的延伸阅读', () => {
+    function getRefLinks(document) {
+        return [...document.querySelectorAll('.chapter-refs a')].map(link => link.textContent);
+    }
+
+    test('作答后显示相关章节', t => {
+        const question = { ...single(1, 1), tags: ['useState'], refs: ['Part17-面试突破/08-useState手写实现.md'] };
+        const { window, document } = startQuiz([question, single(2)]);
+        t.after(() => window.close());
+        document.querySelectorAll('#options-list .option-item')[1].click();
+        assert.deepEqual(getRefLinks(document), ['Part 17 · useState手写实现', 'Part 2 · useState基础与进阶']);
+    });
+
+    test('没有相关章节时不显示', t => {
+        const { window, document } = startQuiz([single(1, 1), single(2)]);
+        t.after(() => window.close());
+        document.querySelectorAll('#options-list .option-item')[1].click();
+        assert.equal(document.querySelector('.chapter-refs'), null);
+    });
+});
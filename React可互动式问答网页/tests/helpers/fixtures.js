@@ -0,0 +1,63 @@
+// 测试用的最小题目，结构与题库一致
+function single(id, answer = 1) {
+    return {
+        id,
+        type: 'single',
+        question: `单选题 ${id}`,
+        options: ['选项一', '选项二', '选项三', '选项四'],
+        answer: [answer],
+        explanation: { correct: `第 ${id} 题解析`, wrong: {} },
+        tags: ['测试']
+    };
+}
+
+function judge(id, answer = 0) {
+    return {
+        id,
+        type: 'judge',
+        question: `判断题 ${id}`,
+        options: ['正确', '错误'],
+        answer: [answer],
+        explanation: { correct: `第 ${id} 题解析` },
+        tags: ['测试']
+    };
+}
+
+function multiple(id, answer = [0, 2]) {
+    return {
+        id,
+        type: 'multiple',
+        question: `多选题 ${id}`,
+        options: ['选项一', '选项二', '选项三', '选项四'],
+        answer,
+        explanation: { correct: `第 ${id} 题解析`, wrong: { 1: '选项二不对' } },
+        tags: ['测试']
+    };
+}
+
+function order(id, answer = [2, 0, 1]) {
+    return {
+        id,
+        type: 'order',
+        question: `排序题 ${id}`,
+        options: ['步骤一', '步骤二', '步骤三'],
+        answer,
+        explanation: { correct: `第 ${id} 题解析`, wrong: {} },
+        tags: ['测试']
+    };
+}
+
+function match(id, answer = [1, 0, 2]) {
+    return {
+        id,
+        type: 'match',
+        question: `配对题 ${id}`,
+        options: ['左一', '左二', '左三'],
+        targets: ['右一', '右二', '右三'],
+        answer,
+        explanation: { correct: `第 ${id} 题解析`, wrong: {} },
+        tags: ['测试']
+    };
+}
+
+module.exports = { single, judge, multiple, order, match };
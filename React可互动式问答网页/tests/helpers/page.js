@@ -0,0 +1,85 @@
+// 测试辅助：在 jsdom 中加载答题页面，并按页面中的顺序执行本地脚本
+// 页面脚本都是普通的全局脚本，这里用 vm 在 jsdom 的全局上下文中执行，和浏览器中的行为一致
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+// 与 scripts/serve.js 一致：服务根目录是整个项目，问答网页位于其下的子目录
+const SERVER_ROOT = path.resolve(ROOT, '..');
+const APP_PATH = `/${encodeURIComponent(path.basename(ROOT))}/`;
+// window -> jsdom 的 vm 上下文
+const contexts = new WeakMap();
+
+// 用本地文件模拟 fetch：按页面地址解析到服务根目录下的文件
+// files 中的条目（相对问答网页目录）优先，值为 null 表示文件不存在
+function createFetch(window, files) {
+    return url => {
+        const { pathname } = new window.URL(url, window.location.href);
+        const file = path.join(SERVER_ROOT, decodeURIComponent(pathname));
+        const relative = path.relative(ROOT, file).split(path.sep).join('/');
+        let body = Object.prototype.hasOwnProperty.call(files, relative) ? files[relative] : undefined;
+        if (body === undefined) {
+            body = fs.existsSync(file) && fs.statSync(file).isFile() ? fs.readFileSync(file, 'utf8') : null;
+        }
+        return Promise.resolve({
+            ok: body !== null,
+            status: body === null ? 404 : 200,
+            text: () => Promise.resolve(body)
+        });
+    };
+}
+
+// 在页面的全局上下文中执行代码并返回结果；题库等 const 声明不是 window 属性，只能这样读取
+function evaluate(window, code) {
+    return new vm.Script(code).runInContext(contexts.get(window));
+}
+
+// page 为相对项目根目录的路径；inline 为 false 时跳过页面内联脚本，由测试自己调用 initQuiz
+// files 覆盖 fetch 读到的文件内容（相对项目根目录），用于模拟缺失或损坏的题库
+function loadPage(page, { query = '', storage = {}, inline = true, files = {} } = {}) {
+    const file = path.join(ROOT, page);
+    const scripts = [];
+    const html = fs.readFileSync(file, 'utf8').replace(/<script([^>]*)>([\s\S]*?)<\/script>/g, (match, attrs, body) => {
+        scripts.push({ src: (/src="([^"]+)"/.exec(attrs) || [])[1], body });
+        return '';
+    });
+
+    const dom = new JSDOM(html, {
+        url: `http://localhost${APP_PATH}${page}${query}`,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true
+    });
+    const { window } = dom;
+    contexts.set(window, dom.getInternalVMContext());
+    window.scrollTo = () => {};
+    window.Element.prototype.scrollIntoView = () => {};
+    window.confirm = () => true;
+    window.fetch = createFetch(window, files);
+    Object.entries(storage).forEach(([key, value]) => window.localStorage.setItem(key, value));
+
+    scripts.forEach(({ src, body }) => {
+        if (src) {
+            const code = fs.readFileSync(path.resolve(path.dirname(file), src), 'utf8');
+            new vm.Script(code, { filename: src }).runInContext(contexts.get(window));
+        } else if (inline) {
+            evaluate(window, body);
+        }
+    });
+    return window;
+}
+
+// 用自定义题目启动答题页，返回页面 window 和 QuizSystem 实例
+function startQuiz(questions, options = {}, { storage = {} } = {}) {
+    const window = loadPage('pages/quiz.html', { inline: false, storage });
+    const quiz = evaluate(window, `initQuiz(${JSON.stringify(questions)}, '测试练习', ${JSON.stringify({ stageId: 'test', ...options })})`);
+    return { window, document: window.document, quiz };
+}
+
+// 等待页面中的异步加载（fetch 和后续的 then）全部完成
+function settle() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+module.exports = { ROOT, loadPage, startQuiz, evaluate, settle };
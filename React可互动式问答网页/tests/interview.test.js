@@ -0,0 +1,263 @@
+// 模拟面试：按阶段/标签权重抽题、均衡题型、避开最近答对的题目，以及面试页面的完整流程和面试记录
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const MockInterview = require('../js/interview.js');
+const QuizShuffle = require('../js/shuffle.js');
+const { loadPage, settle } = require('./helpers/page');
+const { single, judge, multiple } = require('./helpers/fixtures');
+
+const TODAY = '2026-03-10';
+
+function bank(stageId, questions) {
+    return { stageId, name: stageId, sections: [], questions };
+}
+
+function tagged(question, tags) {
+    return { ...question, tags };
+}
+
+function range(from, to, create) {
+    return Array.from({ length: to - from + 1 }, (_, index) => create(from + index));
+}
+
+function generate(banks, config, { schedule = {}, seed = 1 } = {}) {
+    return MockInterview.generate(banks, { balanceTypes: false, ...config }, {
+        schedule,
+        today: TODAY,
+        random: QuizShuffle.createRandom(seed)
+    });
+}
+
+function keys(questions) {
+    return questions.map(q => `${q.stageId}:${q.id}`);
+}
+
+describe('MockInterview.generate', () => {
+    const banks = [bank('part1', range(1, 10, id => single(id))), bank('part2', range(1, 10, id => judge(id)))];
+
+    test('从所有题库抽取指定数量的不重复题目，并带上 stageId', () => {
+        const questions = generate(banks, { count: 8 });
+        assert.equal(questions.length, 8);
+        assert.equal(new Set(keys(questions)).size, 8);
+        assert.ok(questions.every(q => q.stageId === 'part1' || q.stageId === 'part2'));
+    });
+
+    test('相同的随机数序列生成相同的面试', () => {
+        assert.deepEqual(keys(generate(banks, { count: 6 }, { seed: 7 })), keys(generate(banks, { count: 6 }, { seed: 7 })));
+    });
+
+    test('题量超过可用题目时返回全部题目', () => {
+        assert.equal(generate(banks, { count: 50 }).length, 20);
+    });
+
+    test('阶段权重为 0 时不考这个阶段', () => {
+        const questions = generate(banks, { count: 8, stageWeights: { part2: 0 } });
+        assert.ok(questions.every(q => q.stageId === 'part1'));
+    });
+
+    test('阶段权重按题库大小归一化', () => {
+        const weight = (question, stageId, size, config) => MockInterview.getWeight(question, stageId, size, config);
+        assert.equal(weight(single(1), 'part1', 10, {}) * 10, weight(single(1), 'part2', 40, {}) * 40);
+        assert.equal(weight(single(1), 'part1', 10, { stageWeights: { part1: 3 } }), 0.3);
+    });
+
+    test('与 Object.prototype 属性同名的阶段和标签按默认权重计算', () => {
+        const question = tagged(single(1), ['constructor', 'toString']);
+        assert.equal(MockInterview.getWeight(question, 'constructor', 10, { tagWeights: {} }), 0.1);
+        assert.equal(MockInterview.getWeight(question, 'part1', 10, { tagWeights: { toString: 2 } }), 0.2);
+
+        const prototypeTags = [bank('part1', range(1, 5, id => tagged(single(id), ['constructor', 'hasOwnProperty'])))];
+        assert.equal(generate(prototypeTags, { count: 5 }).length, 5);
+    });
+
+    test('标签权重为 0 时排除带这个标签的题目', () => {
+        const mixed = [bank('part1', [...range(1, 5, id => tagged(single(id), ['useEffect'])), ...range(6, 10, id => single(id))])];
+        const questions = generate(mixed, { count: 10, tagWeights: { useEffect: 0 } });
+        assert.deepEqual(questions.map(q => q.id).sort((a, b) => a - b), [6, 7, 8, 9, 10]);
+    });
+
+    test('标签权重越高，带这个标签的题目越常被抽中', () => {
+        const mixed = [bank('part1', [...range(1, 10, id => tagged(single(id), ['useEffect'])), ...range(11, 100, id => single(id))])];
+        const count = config => range(1, 50, seed => generate(mixed, { count: 5, ...config }, { seed }))
+            .flat()
+            .filter(q => q.tags.includes('useEffect')).length;
+        assert.ok(count({ tagWeights: { useEffect: 3 } }) > count({}) * 2);
+    });
+
+    test('均衡题型时各题型的题数相差不超过 1', () => {
+        const unbalanced = [bank('part1', [...range(1, 20, id => single(id)), ...range(21, 22, id => judge(id)), ...range(23, 24, id => multiple(id))])];
+        const types = new Map();
+        generate(unbalanced, { count: 6, balanceTypes: true }).forEach(q => types.set(q.type, (types.get(q.type) || 0) + 1));
+        assert.deepEqual(Object.fromEntries(types), { single: 2, judge: 2, multiple: 2 });
+    });
+
+    test('某种题型不够时名额留给其他题型', () => {
+        const unbalanced = [bank('part1', [...range(1, 20, id => single(id)), judge(21)])];
+        const questions = generate(unbalanced, { count: 6, balanceTypes: true });
+        assert.equal(questions.length, 6);
+        assert.equal(questions.filter(q => q.type === 'judge').length, 1);
+    });
+
+    test('避开最近答对的题目，答错和很久以前答对的题目不受影响', () => {
+        const schedule = {
+            'part1:1': { repetitions: 2, lastReviewed: TODAY },
+            'part1:2': { repetitions: 1, lastReviewed: '2026-03-05' },
+            'part1:3': { repetitions: 0, lastReviewed: TODAY },
+            'part1:4': { repetitions: 3, lastReviewed: '2026-01-01' }
+        };
+        const small = [bank('part1', range(1, 6, id => single(id)))];
+        const questions = generate(small, { count: 4, recentDays: 7 }, { schedule });
+        assert.deepEqual(questions.map(q => q.id).sort((a, b) => a - b), [3, 4, 5, 6]);
+    });
+
+    test('题量不够时再从最近答对的题目中补足，recentDays 为 0 时不避开', () => {
+        const schedule = { 'part1:1': { repetitions: 2, lastReviewed: TODAY } };
+        const small = [bank('part1', range(1, 3, id => single(id)))];
+        assert.equal(generate(small, { count: 3, recentDays: 7 }, { schedule }).length, 3);
+
+        const pickedFirst = recentDays => range(1, 20, seed => generate(small, { count: 2, recentDays }, { schedule, seed }))
+            .some(questions => questions.some(q => q.id === 1));
+        assert.equal(pickedFirst(7), false);
+        assert.equal(pickedFirst(0), true);
+    });
+});
+
+describe('模拟面试页面', () => {
+    // 用两个小题库代替真实题库，单选题答案都是"选项二"，判断题答案都是"正确"
+    const files = {
+        'data/banks/part1.json': JSON.stringify({ formatVersion: 1, stageId: 'part1', sections: [], questions: range(1, 6, id => single(id)) }),
+        'data/banks/part2.json': JSON.stringify({ formatVersion: 1, stageId: 'part2', sections: [], questions: range(1, 6, id => judge(id)) }),
+        'data/banks/part3.json': null,
+        'data/banks/part4.json': null,
+        'data/banks/part14.json': null,
+        'data/banks/part19.json': null
+    };
+
+    function openInterview(storage) {
+        return loadPage('pages/interview.html', { files, storage });
+    }
+
+    function submitSetup(document, count) {
+        document.querySelector('select[name="count"]').value = String(count);
+        document.querySelector('#interview-form [type="submit"]').click();
+    }
+
+    function answerCorrectly(document) {
+        const option = [...document.querySelectorAll('#options-list .option-item')]
+            .find(item => item.textContent.includes('选项二') || item.textContent.includes('正确'));
+        option.click();
+        document.getElementById('next-button').click();
+    }
+
+    test('设置页列出已加载的阶段，没有记录时给出提示', async t => {
+        const window = openInterview();
+        t.after(() => window.close());
+        await settle();
+        const { document } = window;
+        const stages = [...document.querySelectorAll('#interview-form select[name^="stage:"]')].map(select => select.name);
+        assert.deepEqual(stages, ['stage:part1', 'stage:part2']);
+        assert.match(document.querySelector('.exam-report').textContent, /还没有面试记录/);
+    });
+
+    test('所有阶段都不考时提示调整权重', async t => {
+        const window = openInterview();
+        t.after(() => window.close());
+        await settle();
+        const { document } = window;
+        document.querySelectorAll('select[name^="stage:"]').forEach(select => {
+            select.value = '0';
+        });
+        submitSetup(document, 5);
+        assert.equal(document.getElementById('interview-error').hidden, false);
+        assert.ok(document.getElementById('interview-form'));
+    });
+
+    test('添加标签权重后随设置一起保存', async t => {
+        const window = openInterview();
+        t.after(() => window.close());
+        await settle();
+        const { document } = window;
+        document.getElementById('tag-weight-input').value = '测试';
+        document.getElementById('tag-weight-value').value = '3';
+        document.getElementById('add-tag-weight').click();
+        assert.match(document.getElementById('tag-weight-list').textContent, /测试\s+核心/);
+
+        submitSetup(document, 5);
+        const setup = JSON.parse(window.localStorage.getItem('react19_interview_setup'));
+        assert.deepEqual({ ...setup.config.tagWeights }, { 测试: 3 });
+        assert.equal(setup.questionKeys.length, 5);
+    });
+
+    test('完成面试后记录成绩，并在设置页显示面试记录', async t => {
+        const window = openInterview();
+        t.after(() => window.close());
+        await settle();
+        const { document } = window;
+
+        submitSetup(document, 5);
+        assert.equal(document.querySelector('.quiz-title').textContent, '模拟面试 · 5 题');
+        assert.equal(document.getElementById('total-count').textContent, '5');
+        for (let i = 0; i < 5; i++) {
+            answerCorrectly(document);
+        }
+
+        const [entry] = JSON.parse(window.localStorage.getItem('react19_interview_history'));
+        assert.equal(entry.total, 5);
+        assert.equal(entry.accuracy, 100);
+        assert.equal(entry.stages.reduce((sum, stage) => sum + stage.total, 0), 5);
+        assert.equal(window.localStorage.getItem('react19_learning_progress'), null);
+
+        document.getElementById('new-interview-button').click();
+        assert.ok(document.getElementById('interview-form'));
+        assert.equal(document.querySelectorAll('.interview-history-item').length, 1);
+        assert.match(document.querySelector('.interview-history-header strong').textContent, /100%/);
+    });
+
+    test('再来一场后键盘快捷键只作用于新的面试', async t => {
+        const window = openInterview();
+        t.after(() => window.close());
+        await settle();
+        const { document } = window;
+        const press = key => document.body.dispatchEvent(new window.KeyboardEvent('keydown', { key, bubbles: true }));
+        const questionNumber = () => document.querySelector('.question-number').textContent;
+
+        submitSetup(document, 5);
+        for (let i = 0; i < 5; i++) {
+            answerCorrectly(document);
+        }
+        document.getElementById('new-interview-button').click();
+        submitSetup(document, 10);
+        assert.equal(document.getElementById('total-count').textContent, '10');
+
+        press('a');
+        press('ArrowRight');
+        assert.equal(questionNumber(), '第 2 题');
+        press('a');
+        assert.equal(document.getElementById('answered-count').textContent, '2');
+        press('ArrowLeft');
+        assert.equal(questionNumber(), '第 1 题');
+        // 旧的渲染器还在监听时，Enter 会被处理两次，从第 1 题直接跳到第 3 题
+        press('Enter');
+        assert.equal(questionNumber(), '第 2 题');
+        assert.equal(document.getElementById('total-count').textContent, '10');
+        assert.equal(JSON.parse(window.localStorage.getItem('react19_interview_history')).length, 1);
+    });
+
+    test('有未完成的面试时提示继续', async t => {
+        const window = openInterview();
+        t.after(() => window.close());
+        await settle();
+        submitSetup(window.document, 5);
+        answerCorrectly(window.document);
+
+        const storage = {
+            react19_interview_setup: window.localStorage.getItem('react19_interview_setup'),
+            react19_quiz_session_interview: window.localStorage.getItem('react19_quiz_session_interview')
+        };
+        const reopened = openInterview(storage);
+        t.after(() => reopened.close());
+        await settle();
+        assert.ok(reopened.document.getElementById('resume-button'));
+        assert.equal(reopened.document.querySelector('.quiz-title').textContent, '模拟面试 · 5 题');
+    });
+});
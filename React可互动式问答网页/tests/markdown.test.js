@@ -0,0 +1,83 @@
+// 教程 markdown 渲染：标题锚点、代码块、表格、列表、行内标记和链接改写
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const MarkdownRenderer = require('../js/markdown.js');
+
+// 渲染结果放进 DOM 后再检查，避免依赖模板中的空白
+function render(text, options) {
+    const { document } = new JSDOM(`<body>${MarkdownRenderer.render(text, options)}</body>`).window;
+    return document.body;
+}
+
+describe('MarkdownRenderer', () => {
+    test('标题带锚点，同名标题的 id 依次加后缀', () => {
+        const body = render('# 概述\n\n## Hooks 规则\n\n## Hooks 规则');
+        const headings = [...body.querySelectorAll('h1, h2')];
+        assert.deepEqual(headings.map(heading => heading.id), ['概述', 'hooks-规则', 'hooks-规则-1']);
+        assert.equal(headings[1].querySelector('.heading-anchor').getAttribute('href'), `#${encodeURIComponent('hooks-规则')}`);
+    });
+
+    test('代码块保留内容，JS 代码高亮，其他语言只转义', () => {
+        const body = render('```jsx\nconst a = <div />;\n```\n\n```bash\nnpm i <pkg>\n```');
+        const blocks = body.querySelectorAll('pre.code-block code');
+        assert.equal(blocks[0].className, 'language-jsx');
+        assert.ok(blocks[0].querySelector('.tok-keyword'));
+        assert.equal(blocks[0].textContent, 'const a = <div />;');
+        assert.equal(blocks[1].querySelector('span'), null);
+        assert.equal(blocks[1].textContent, 'npm i <pkg>');
+    });
+
+    test('代码块中的 markdown 标记不被解析', () => {
+        const body = render('```\n# 不是标题\n- 不是列表\n```');
+        assert.equal(body.querySelector('h1'), null);
+        assert.equal(body.querySelector('pre').textContent, '# 不是标题\n- 不是列表');
+    });
+
+    test('表格支持对齐和转义的竖线', () => {
+        const body = render('| 名称 | 值 |\n|:---|---:|\n| a \\| b | `x` |');
+        assert.deepEqual([...body.querySelectorAll('th')].map(cell => cell.textContent), ['名称', '值']);
+        const cells = body.querySelectorAll('td');
+        assert.equal(cells[0].textContent, 'a | b');
+        assert.equal(cells[1].style.textAlign, 'right');
+        assert.equal(cells[1].querySelector('code').textContent, 'x');
+    });
+
+    test('嵌套列表、有序列表和任务列表', () => {
+        const body = render('- 一\n  - 子一\n  - 子二\n- [x] 完成\n\n3. 第三\n4. 第四');
+        const list = body.querySelector('ul');
+        assert.equal(list.children.length, 2);
+        assert.equal(list.querySelectorAll(':scope > li > ul > li').length, 2);
+        assert.equal(list.querySelector('input[type="checkbox"]').checked, true);
+        assert.equal(body.querySelector('ol').getAttribute('start'), '3');
+    });
+
+    test('引用中可以包含其他块', () => {
+        const body = render('> **注意**\n> - 第一条');
+        assert.equal(body.querySelector('blockquote strong').textContent, '注意');
+        assert.equal(body.querySelector('blockquote li').textContent, '第一条');
+    });
+
+    test('行内标记，原始 HTML 按文本显示', () => {
+        const body = render('**粗体** *斜体* ~~删除~~ `<b>` snake_case_name <script>alert(1)</script>');
+        const paragraph = body.querySelector('p');
+        assert.equal(paragraph.querySelector('strong').textContent, '粗体');
+        assert.equal(paragraph.querySelector('em').textContent, '斜体');
+        assert.equal(paragraph.querySelector('del').textContent, '删除');
+        assert.equal(paragraph.querySelector('code').textContent, '<b>');
+        assert.equal(paragraph.querySelector('script'), null);
+        assert.match(paragraph.textContent, /snake_case_name <script>alert\(1\)<\/script>/);
+    });
+
+    test('链接交给 resolveLink 改写，地址中可以有括号，不安全的协议被替换', () => {
+        const body = render(
+            '[上一章](./12-Props类型检查(PropTypes).md#默认值) ![图](img/a.png) [外链](https://react.dev) [坏](javascript:alert(1))',
+            { resolveLink: (href, isImage) => `${isImage ? 'image' : 'link'}:${href}` }
+        );
+        const links = [...body.querySelectorAll('a')];
+        assert.equal(links[0].getAttribute('href'), 'link:./12-Props类型检查(PropTypes).md#默认值');
+        assert.equal(body.querySelector('img').getAttribute('src'), 'image:img/a.png');
+        assert.equal(links[1].getAttribute('href'), 'link:https://react.dev');
+        assert.equal(links[2].getAttribute('href'), '#');
+    });
+});
@@ -0,0 +1,18 @@
+// 题库结构校验：用 scripts/validate-banks.js 逐个检查 data/banks/*.json
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { listBankFiles, validateFile } = require('../scripts/validate-banks.js');
+
+const files = listBankFiles();
+
+test('找到全部题库文件', () => {
+    assert.ok(files.length >= 6);
+});
+
+files.forEach(file => {
+    test(path.basename(file), () => {
+        const problems = validateFile(file).map(({ id, message }) => `${id === null ? '' : `#${id} `}${message}`);
+        assert.deepEqual(problems, []);
+    });
+});
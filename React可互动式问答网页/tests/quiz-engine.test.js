@@ -0,0 +1,225 @@
+// 答题引擎（不依赖 DOM）：各题型计分、作答与导航事件、进度序列化
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { QuizEngine } = require('../js/quiz-engine.js');
+const { single, judge, multiple } = require('./helpers/fixtures');
+
+// 内存中的进度存储，接口与 QuizStorage 相同
+function createStorage() {
+    const items = {};
+    return {
+        items,
+        get: key => (key in items ? JSON.parse(items[key]) : null),
+        set: (key, value) => {
+            items[key] = JSON.stringify(value);
+        },
+        remove: key => {
+            delete items[key];
+        }
+    };
+}
+
+describe('计分', () => {
+    const engine = new QuizEngine([]);
+
+    test('单选题和判断题只比较第一个答案', () => {
+        assert.equal(engine.getAnswerScore(single(1, 2), [2]), 1);
+        assert.equal(engine.getAnswerScore(single(1, 2), [1]), 0);
+        assert.equal(engine.getAnswerScore(judge(1, 1), [1]), 1);
+        assert.equal(engine.getAnswerScore(judge(1, 1), [0]), 0);
+    });
+
+    test('多选题与选择顺序无关', () => {
+        assert.equal(engine.getAnswerScore(multiple(1, [0, 2]), [2, 0]), 1);
+        assert.equal(engine.getAnswerScore(multiple(1, [0, 2]), [0]), 0);
+        assert.equal(engine.getAnswerScore(multiple(1, [0, 2]), [0, 1, 2]), 0);
+    });
+
+    test('多选题的部分得分方式', () => {
+        const question = multiple(1, [0, 2]);
+        const proportional = new QuizEngine([], { multipleScoring: 'proportional' });
+        const penalty = new QuizEngine([], { multipleScoring: 'penalty' });
+
+        assert.equal(proportional.getAnswerScore(question, [0]), 0.5);
+        assert.equal(proportional.getAnswerScore(question, [0, 1, 2, 3]), 0.5);
+        assert.equal(penalty.getAnswerScore(question, [0]), 0.5);
+        assert.equal(penalty.getAnswerScore(question, [0, 1]), 0);
+        // 题目自带的 scoring 优先
+        assert.equal(engine.getAnswerScore({ ...question, scoring: 'proportional' }, [0]), 0.5);
+    });
+
+    test('未知的计分方式回退为全对才得分', () => {
+        assert.equal(new QuizEngine([], { multipleScoring: 'unknown' }).multipleScoring, 'all-or-nothing');
+        assert.equal(new QuizEngine([], { multipleScoring: 'toString' }).multipleScoring, 'all-or-nothing');
+        // 题目的 scoring 是原型上的属性名时同样不生效
+        const engine = new QuizEngine([], { multipleScoring: 'proportional' });
+        assert.equal(engine.getAnswerScore({ ...multiple(1, [0, 2]), scoring: 'constructor' }, [0]), 0.5);
+    });
+
+    test('填空题忽略大小写和多余空白，支持正则答案', () => {
+        const question = {
+            type: 'fill',
+            question: '____ 和 ____',
+            answer: [['useState'], [{ pattern: 'use(Layout)?Effect' }]]
+        };
+        assert.equal(engine.getAnswerScore(question, ['  USESTATE ', 'useLayoutEffect']), 1);
+        assert.equal(engine.getAnswerScore(question, ['useState', 'useEffect']), 1);
+        assert.equal(engine.getAnswerScore(question, ['useState', 'useEffects']), 0);
+        assert.equal(engine.getAnswerScore(question, ['useState', '']), 0);
+    });
+
+    test('正则答案与文字答案一样合并多余的空白，大小写仍按 flags 处理', () => {
+        const question = {
+            type: 'fill',
+            question: '____ 和 ____',
+            answer: [['use client'], [{ pattern: 'use server|useServer' }]]
+        };
+        assert.equal(engine.getAnswerScore(question, ['use   client', ' use \t server ']), 1);
+        assert.equal(engine.getAnswerScore(question, ['use client', 'USE  SERVER']), 1);
+
+        const caseSensitive = { type: 'fill', question: '____', answer: [[{ pattern: 'use server', flags: '' }]] };
+        assert.equal(engine.getAnswerScore(caseSensitive, ['use  server']), 1);
+        assert.equal(engine.getAnswerScore(caseSensitive, ['Use  server']), 0);
+    });
+
+    test('无选项的输出预测题忽略空白和逗号差异', () => {
+        const question = { type: 'predict', code: '', answer: ['1 2 3'] };
+        assert.equal(engine.getAnswerScore(question, ['1\n2, 3']), 1);
+        assert.equal(engine.getAnswerScore(question, ['1 3 2']), 0);
+        assert.equal(engine.getAnswerScore(question, ['']), 0);
+    });
+
+    test('排序题和配对题按位置给部分分', () => {
+        const order = { type: 'order', options: ['a', 'b', 'c', 'd'], answer: [2, 0, 1, 3] };
+        const match = { type: 'match', options: ['a', 'b'], targets: ['x', 'y'], answer: [1, 0] };
+        assert.equal(engine.getAnswerScore(order, [2, 0, 1, 3]), 1);
+        assert.equal(engine.getAnswerScore(order, [2, 1, 0, 3]), 0.5);
+        assert.equal(engine.getAnswerScore(match, [1, 0]), 1);
+        assert.equal(engine.getAnswerScore(match, [1, null]), 0.5);
+    });
+});
+
+describe('作答与导航', () => {
+    test('事件顺序和成绩统计', () => {
+        const engine = new QuizEngine([single(1, 0), multiple(2, [0, 1]), judge(3, 0)], { multipleScoring: 'proportional' });
+        const events = [];
+        ['start', 'answer', 'navigate', 'complete'].forEach(name => engine.on(name, payload => events.push([name, payload])));
+
+        engine.start();
+        engine.answer([0]);
+        engine.next();
+        engine.answer([0]);
+        engine.next();
+        engine.answer([1]);
+        engine.next();
+
+        assert.deepEqual(events.map(([name]) => name), ['start', 'answer', 'navigate', 'answer', 'navigate', 'answer', 'complete']);
+        assert.deepEqual(events[events.length - 1][1], { correctCount: 1, totalScore: 1.5, total: 3, accuracy: 50 });
+        assert.equal(engine.isFinished(), true);
+    });
+
+    test('同一题只记录第一次提交', () => {
+        const engine = new QuizEngine([single(1, 0)]);
+        engine.start();
+        const first = engine.answer([1]);
+        const second = engine.answer([0]);
+
+        assert.equal(second, first);
+        assert.equal(engine.answers.length, 1);
+        assert.deepEqual(engine.getStats(), { answered: 1, total: 1, correctCount: 0, totalScore: 0, accuracy: 0 });
+    });
+
+    test('跳转超出范围时不切换题目', () => {
+        const engine = new QuizEngine([single(1), single(2)]);
+        engine.start();
+
+        assert.equal(engine.previous(), false);
+        assert.equal(engine.goTo(2), false);
+        assert.equal(engine.goTo(1), true);
+        assert.equal(engine.currentIndex, 1);
+    });
+
+    test('取消订阅后不再收到事件', () => {
+        const engine = new QuizEngine([single(1), single(2)]);
+        let count = 0;
+        const unsubscribe = engine.on('navigate', () => count++);
+        engine.start();
+        engine.next();
+        unsubscribe();
+        engine.previous();
+
+        assert.equal(count, 1);
+    });
+
+    test('考试模式交卷前不公布对错', () => {
+        const engine = new QuizEngine([single(1, 0), single(2, 0)], { mode: 'exam', timeLimit: 60 });
+        engine.start();
+        engine.answer([1]);
+
+        assert.equal(engine.getQuestionStatus(0), 'answered');
+        assert.equal(engine.getQuestionStatus(1), 'unanswered');
+        assert.ok(engine.getRemainingSeconds() <= 60);
+
+        engine.finish();
+        assert.equal(engine.getQuestionStatus(0), 'incorrect');
+        assert.equal(engine.getRemainingSeconds(), null);
+    });
+});
+
+describe('进度序列化', () => {
+    test('保存的进度可以在新实例中恢复', () => {
+        const storage = createStorage();
+        const questions = [single(1, 0), single(2, 0), single(3, 0)];
+        const shuffle = { seed: 42, questions: true, options: true };
+        const engine = new QuizEngine(questions, { stageId: 'demo', storage, shuffle });
+        engine.start();
+        engine.answer([engine.getCurrentQuestion().answer[0]]);
+        engine.next();
+
+        const restored = new QuizEngine(questions, { stageId: 'demo', storage });
+        const saved = restored.loadSession();
+        assert.ok(saved);
+        restored.restore(saved);
+
+        assert.equal(restored.currentIndex, 1);
+        assert.equal(restored.correctCount, 1);
+        assert.deepEqual(restored.questions.map(q => q.id), engine.questions.map(q => q.id));
+    });
+
+    test('恢复进度后用时从最初开始作答时算起', () => {
+        const storage = createStorage();
+        const questions = [single(1, 0), single(2, 0)];
+        const engine = new QuizEngine(questions, { stageId: 'demo', storage });
+        engine.start();
+        engine.startedAt -= 90 * 1000;
+        engine.answer([0]);
+
+        const restored = new QuizEngine(questions, { stageId: 'demo', storage });
+        assert.equal(restored.getElapsedSeconds(), null);
+        restored.restore(restored.loadSession());
+        assert.equal(restored.getElapsedSeconds(restored.startedAt + 125 * 1000), 125);
+        assert.equal(restored.startedAt, engine.startedAt);
+    });
+
+    test('题库改动后旧进度失效并被清除', () => {
+        const storage = createStorage();
+        const engine = new QuizEngine([single(1, 0), single(2, 0)], { stageId: 'demo', storage });
+        engine.start();
+        engine.answer([0]);
+
+        const changed = new QuizEngine([single(1, 1), single(2, 0)], { stageId: 'demo', storage });
+        assert.equal(changed.loadSession(), null);
+        assert.deepEqual(storage.items, {});
+    });
+
+    test('完成后清除保存的进度', () => {
+        const storage = createStorage();
+        const engine = new QuizEngine([single(1, 0)], { stageId: 'demo', storage });
+        engine.start();
+        engine.answer([0]);
+        assert.ok(storage.items.react19_quiz_session_demo);
+
+        engine.next();
+        assert.deepEqual(storage.items, {});
+    });
+});
@@ -0,0 +1,376 @@
+// 答题页面的交互流程：单选、判断、多选的作答与按钮状态，销毁后移除快捷键，排序题和配对题的键盘操作，沙箱运行失败，乱序后的错题记录，正确率统计和完成页评语
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, startQuiz, evaluate, settle } = require('./helpers/page');
+const { single, judge, multiple, order, match } = require('./helpers/fixtures');
+
+function getOptions(document) {
+    return [...document.querySelectorAll('#options-list .option-item')];
+}
+
+function getNextButton(document) {
+    return document.getElementById('next-button');
+}
+
+function getQuestionNumber(document) {
+    return document.querySelector('.question-number').textContent;
+}
+
+function getFeedbackText(document) {
+    const feedback = document.querySelector('.result-feedback');
+    return feedback ? feedback.textContent.trim() : null;
+}
+
+// 依次作答：answers[i] 为第 i 题要点击的选项序号，多选题传数组
+function answerAll(document, answers) {
+    answers.forEach(answer => {
+        const options = getOptions(document);
+        [].concat(answer).forEach(index => options[index].click());
+        if (Array.isArray(answer)) {
+            getNextButton(document).click();
+        }
+        getNextButton(document).click();
+    });
+}
+
+describe('单选题', () => {
+    test('选择后立即提交并显示反馈', t => {
+        const { window, document } = startQuiz([single(1, 1), single(2)]);
+        t.after(() => window.close());
+
+        assert.equal(getQuestionNumber(document), '第 1 题');
+        assert.equal(getNextButton(document).disabled, true);
+
+        getOptions(document)[2].click();
+
+        const options = getOptions(document);
+        assert.match(getFeedbackText(document), /回答错误/);
+        assert.ok(options[2].classList.contains('incorrect'));
+        assert.ok(options[1].classList.contains('correct'));
+        assert.ok(options.every(option => option.classList.contains('disabled')));
+        assert.equal(getNextButton(document).disabled, false);
+        assert.equal(document.getElementById('answered-count').textContent, '1');
+        assert.equal(document.getElementById('accuracy').textContent, '0%');
+    });
+
+    test('提交后再点击其他选项不会改变答案', t => {
+        const { window, document, quiz } = startQuiz([single(1, 1), single(2)]);
+        t.after(() => window.close());
+
+        getOptions(document)[1].click();
+        getOptions(document)[0].click();
+
+        assert.equal(quiz.engine.answers.length, 1);
+        // 页面中的数组属于 jsdom 的全局环境，复制后再做严格比较
+        assert.deepEqual([...quiz.engine.answers[0].selected], [1]);
+        assert.match(getFeedbackText(document), /回答正确/);
+    });
+
+    test('键盘字母键选择选项，方向键切换题目', t => {
+        const { window, document } = startQuiz([single(1, 1), single(2)]);
+        t.after(() => window.close());
+
+        document.body.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'b', bubbles: true }));
+        assert.match(getFeedbackText(document), /回答正确/);
+
+        document.body.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'ArrowRight', bubbles: true }));
+        assert.equal(getQuestionNumber(document), '第 2 题');
+    });
+});
+
+describe('销毁', () => {
+    test('destroy() 后不再响应快捷键和引擎事件', t => {
+        const { window, document, quiz } = startQuiz([single(1, 1), single(2)]);
+        t.after(() => window.close());
+
+        quiz.destroy();
+        document.body.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'ArrowRight', bubbles: true }));
+        assert.equal(quiz.engine.currentIndex, 0);
+
+        quiz.engine.goTo(1);
+        assert.equal(getQuestionNumber(document), '第 1 题');
+    });
+});
+
+describe('判断题', () => {
+    test('选择后自动提交，答对计入正确率', t => {
+        const { window, document } = startQuiz([judge(1, 0), judge(2, 1)]);
+        t.after(() => window.close());
+
+        const options = getOptions(document);
+        assert.equal(options.length, 2);
+        options[0].click();
+
+        assert.match(getFeedbackText(document), /回答正确/);
+        assert.equal(document.getElementById('accuracy').textContent, '100%');
+
+        getNextButton(document).click();
+        getOptions(document)[0].click();
+        assert.match(getFeedbackText(document), /回答错误/);
+        assert.equal(document.getElementById('accuracy').textContent, '50%');
+    });
+});
+
+describe('多选题', () => {
+    test('确认按钮随选择启用和禁用，确认后变为下一题', t => {
+        const { window, document, quiz } = startQuiz([multiple(1, [0, 2]), single(2)]);
+        t.after(() => window.close());
+
+        const nextButton = getNextButton(document);
+        const options = getOptions(document);
+        assert.equal(nextButton.disabled, true);
+
+        options[0].click();
+        assert.equal(nextButton.disabled, false);
+        assert.equal(getFeedbackText(document), null);
+
+        options[0].click();
+        assert.equal(nextButton.disabled, true);
+        assert.ok(!options[0].classList.contains('selected'));
+
+        options[0].click();
+        options[2].click();
+        assert.equal(quiz.engine.answers.length, 0);
+
+        // 第一次点击：提交答案，仍停留在本题
+        nextButton.click();
+        assert.match(getFeedbackText(document), /回答正确/);
+        assert.equal(getQuestionNumber(document), '第 1 题');
+        assert.equal(nextButton.textContent.trim(), '下一题 →');
+        assert.deepEqual([...quiz.engine.answers[0].selected], [0, 2]);
+
+        // 提交后选项不再响应
+        options[1].click();
+        assert.ok(!options[1].classList.contains('selected'));
+
+        // 第二次点击：进入下一题
+        nextButton.click();
+        assert.equal(getQuestionNumber(document), '第 2 题');
+    });
+
+    test('少选按全对才得分处理，并标出漏选的选项', t => {
+        const { window, document } = startQuiz([multiple(1, [0, 2]), single(2)]);
+        t.after(() => window.close());
+
+        getOptions(document)[0].click();
+        getNextButton(document).click();
+
+        const options = getOptions(document);
+        assert.match(getFeedbackText(document), /回答错误/);
+        assert.ok(options[2].classList.contains('missed'));
+        assert.match(document.getElementById('feedback-area').textContent, /漏选了 1 个正确选项/);
+    });
+
+    test('按比例计分时少选得部分分', t => {
+        const { window, document } = startQuiz([multiple(1, [0, 2]), single(2)], { multipleScoring: 'proportional' });
+        t.after(() => window.close());
+
+        getOptions(document)[0].click();
+        getNextButton(document).click();
+
+        assert.match(getFeedbackText(document), /部分正确（得分 50%）/);
+        assert.equal(document.getElementById('accuracy').textContent, '50%');
+    });
+
+    test('地址栏只接受已知的计分方式', t => {
+        const scoringFor = query => {
+            const window = loadPage('pages/quiz.html', { query, inline: false });
+            t.after(() => window.close());
+            return evaluate(window, 'getScoringFromUrl()');
+        };
+        assert.equal(scoringFor('?scoring=penalty'), 'penalty');
+        assert.equal(scoringFor('?scoring=toString'), null);
+        assert.equal(scoringFor('?scoring=__proto__'), null);
+    });
+
+    test('完成页列出多选题实际使用的计分方式', t => {
+        const scoringInfo = (questions, options) => {
+            const { window, document, quiz } = startQuiz(questions, options);
+            t.after(() => window.close());
+            quiz.engine.finish();
+            const info = document.querySelector('.scoring-info');
+            return info ? info.textContent.trim() : null;
+        };
+        assert.equal(scoringInfo([multiple(1), multiple(2)]), '多选题计分方式：全对才得分');
+        assert.equal(scoringInfo([{ ...multiple(1), scoring: 'penalty' }], {}), '多选题计分方式：按比例得分，错选倒扣');
+        assert.equal(
+            scoringInfo([multiple(1), { ...multiple(2), scoring: 'proportional' }], { multipleScoring: 'penalty' }),
+            '多选题计分方式：按比例得分，错选倒扣、按选对比例得分'
+        );
+        assert.equal(scoringInfo([single(1)]), null);
+    });
+
+    test('最后一题确认后按钮显示查看结果', t => {
+        const { window, document } = startQuiz([multiple(1)]);
+        t.after(() => window.close());
+
+        getOptions(document)[0].click();
+        getNextButton(document).click();
+        assert.equal(getNextButton(document).textContent.trim(), '查看结果 →');
+
+        getNextButton(document).click();
+        assert.ok(document.querySelector('.completion-card'));
+    });
+});
+
+describe('排序题和配对题的键盘操作', () => {
+    function press(window, key) {
+        window.document.body.dispatchEvent(new window.KeyboardEvent('keydown', { key, bubbles: true }));
+    }
+
+    test('排序题可以用方向键切换题目，Enter 提交当前顺序后进入下一题', t => {
+        const { window, document, quiz } = startQuiz([order(1), single(2)]);
+        t.after(() => window.close());
+
+        press(window, 'ArrowRight');
+        assert.equal(getQuestionNumber(document), '第 2 题');
+        press(window, 'ArrowLeft');
+        assert.equal(getQuestionNumber(document), '第 1 题');
+
+        press(window, 'a');
+        assert.equal(quiz.engine.answers.length, 0);
+        press(window, 'Enter');
+        assert.equal(quiz.engine.answers.length, 1);
+        assert.ok(getFeedbackText(document));
+        press(window, 'Enter');
+        assert.equal(getQuestionNumber(document), '第 2 题');
+    });
+
+    test('配对题可以用方向键切换题目，配对完成后 Enter 提交', t => {
+        const { window, document, quiz } = startQuiz([match(1), single(2)]);
+        t.after(() => window.close());
+
+        press(window, 'ArrowRight');
+        assert.equal(getQuestionNumber(document), '第 2 题');
+        press(window, 'ArrowLeft');
+        assert.equal(getQuestionNumber(document), '第 1 题');
+
+        [1, 0, 2].forEach((target, index) => {
+            document.querySelector(`.match-source[data-index="${index}"]`).click();
+            document.querySelector(`.match-target[data-target="${target}"]`).click();
+        });
+        press(window, 'Enter');
+        assert.equal(quiz.engine.answers.length, 1);
+        assert.equal(quiz.engine.answers[0].correct, true);
+        press(window, 'Enter');
+        assert.equal(getQuestionNumber(document), '第 2 题');
+    });
+});
+
+describe('代码运行', () => {
+    test('沙箱运行失败时恢复按钮并显示原因', async t => {
+        const { window, document } = startQuiz([{ ...single(1, 1), code: 'console.log(1);' }]);
+        t.after(() => window.close());
+        evaluate(window, "CodeRunner.run = () => Promise.reject(new Error('沙箱加载失败'))");
+
+        getOptions(document)[1].click();
+        const button = document.querySelector('.run-code-button');
+        button.click();
+        assert.equal(button.disabled, true);
+
+        await settle();
+        assert.equal(button.disabled, false);
+        assert.equal(button.textContent, '↻ 重新运行');
+        assert.match(button.nextElementSibling.textContent, /代码运行失败：沙箱加载失败/);
+    });
+});
+
+describe('乱序练习', () => {
+    test('错题本按题库中的选项序号记录错选', t => {
+        const { window, document } = startQuiz([single(1, 1), multiple(2, [0, 2])], { shuffle: { seed: 7, questions: false, options: true } });
+        t.after(() => window.close());
+        const optionByText = text => getOptions(document).find(option => option.textContent.includes(text));
+
+        optionByText('选项四').click();
+        getNextButton(document).click();
+        optionByText('选项一').click();
+        optionByText('选项二').click();
+        getNextButton(document).click();
+
+        const book = JSON.parse(window.localStorage.getItem('react19_wrong_book'));
+        assert.deepEqual(book['test:1'].lastSelected, [3]);
+        assert.deepEqual(book['test:1'].wrongPicks, { 3: 1 });
+        assert.deepEqual(book['test:2'].lastSelected, [0, 1]);
+        assert.deepEqual(book['test:2'].wrongPicks, { 1: 1 });
+    });
+});
+
+describe('正确率', () => {
+    test('按已答题目计算并四舍五入', t => {
+        const { window, document } = startQuiz([single(1, 0), single(2, 0), single(3, 0), single(4, 0)]);
+        t.after(() => window.close());
+
+        answerAll(document, [0, 1, 0]);
+
+        assert.equal(document.getElementById('answered-count').textContent, '3');
+        assert.equal(document.getElementById('total-count').textContent, '4');
+        assert.equal(document.getElementById('accuracy').textContent, '67%');
+    });
+
+    test('完成页按全部题目计算，未作答的题目不得分', t => {
+        const { window, document, quiz } = startQuiz([single(1, 0), single(2, 0), single(3, 0), single(4, 0)]);
+        t.after(() => window.close());
+
+        answerAll(document, [0]);
+        quiz.engine.finish();
+
+        const values = [...document.querySelectorAll('.completion-stat-value')].map(item => item.textContent);
+        assert.deepEqual(values, ['1', '4', '25%']);
+    });
+});
+
+describe('完成页评语', () => {
+    const cases = [
+        { correct: 10, icon: '🎉', message: '优秀' },
+        { correct: 9, icon: '🎉', message: '优秀' },
+        { correct: 8, icon: '👍', message: '不错' },
+        { correct: 7, icon: '👍', message: '不错' },
+        { correct: 6, icon: '💪', message: '及格了' },
+        { correct: 5, icon: '📚', message: '需要加强' },
+        { correct: 0, icon: '📚', message: '需要加强' }
+    ];
+
+    cases.forEach(({ correct, icon, message }) => {
+        test(`答对 ${correct}/10 显示「${message}」`, t => {
+            const questions = Array.from({ length: 10 }, (_, index) => single(index + 1, 0));
+            const { window, document } = startQuiz(questions);
+            t.after(() => window.close());
+
+            answerAll(document, questions.map((_, index) => (index < correct ? 0 : 1)));
+
+            assert.equal(document.querySelector('.completion-icon').textContent, icon);
+            assert.match(document.querySelector('.completion-card').textContent, new RegExp(message));
+            assert.match(document.querySelector('.completion-card').textContent, new RegExp(`${correct * 10}%`));
+        });
+    });
+
+    test('完成后记录学习进度并清除答题进度', t => {
+        const { window, document } = startQuiz([single(1, 0), single(2, 0)]);
+        t.after(() => window.close());
+
+        answerAll(document, [0, 0]);
+
+        const progress = JSON.parse(window.localStorage.getItem('react19_learning_progress'));
+        assert.equal(progress.test.accuracy, 100);
+        assert.equal(progress.test.completions, 1);
+        assert.equal(window.localStorage.getItem('react19_quiz_session_test'), null);
+    });
+});
+
+describe('答题进度', () => {
+    test('重新打开页面时提示继续上次进度', t => {
+        const questions = [single(1, 0), single(2, 0), single(3, 0)];
+        const first = startQuiz(questions);
+        answerAll(first.document, [0]);
+        const saved = first.window.localStorage.getItem('react19_quiz_session_test');
+        first.window.close();
+
+        const { window, document } = startQuiz(questions, {}, { storage: { react19_quiz_session_test: saved } });
+        t.after(() => window.close());
+
+        assert.match(document.querySelector('.resume-text').textContent, /上次答到第 2 题，已答 1\/3 题/);
+        document.getElementById('resume-button').click();
+        assert.equal(getQuestionNumber(document), '第 2 题');
+        assert.equal(document.getElementById('answered-count').textContent, '1');
+    });
+});
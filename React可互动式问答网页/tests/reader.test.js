@@ -0,0 +1,102 @@
+// 教程阅读页：目录清单、章节渲染、相对链接改写和"测一测"章节测验
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { isManifestCurrent } = require('../scripts/build-chapters.js');
+const { loadPage, settle } = require('./helpers/page');
+
+const CHAPTER = 'Part2-Hooks深入掌握/02-useState基础与进阶.md';
+
+function openReader(file, options = {}) {
+    return loadPage('pages/reader.html', { query: file ? `?file=${encodeURIComponent(file)}` : '', ...options });
+}
+
+test('data/chapters.json 与教程目录一致', () => {
+    assert.ok(isManifestCurrent(), '请运行 npm run build:chapters 重新生成');
+});
+
+describe('阅读页', () => {
+    test('侧边栏列出全部 Part，当前章节所在的部分展开', async t => {
+        const window = openReader(CHAPTER);
+        t.after(() => window.close());
+        await settle();
+        const { document } = window;
+        const parts = [...document.querySelectorAll('.reader-part')];
+        assert.equal(parts.length, 19);
+        assert.deepEqual(parts.filter(part => part.open).map(part => part.querySelector('summary').textContent), ['Part 2 · Hooks深入掌握']);
+        assert.equal(document.querySelector('.reader-part a.active').textContent, 'useState基础与进阶');
+    });
+
+    test('渲染章节正文和上一章/下一章', async t => {
+        const window = openReader(CHAPTER);
+        t.after(() => window.close());
+        await settle();
+        const { document } = window;
+        assert.match(document.querySelector('#reader-content h1').textContent, /useState/);
+        assert.ok(document.querySelector('#reader-content pre.code-block'));
+        assert.equal(document.title, 'Part 2 · useState基础与进阶 - React 19 问答系统');
+        const nav = [...document.querySelectorAll('#chapter-nav a')].map(link => link.textContent);
+        assert.deepEqual(nav, ['← Hooks概述与规则', 'useEffect副作用管理 →']);
+    });
+
+    test('相对链接指向阅读页，图片指向原始文件', async t => {
+        const markdown = '# 测试\n\n[下一章](./03-useEffect副作用管理.md#清理函数) ![图](./img/a.png) [首页](../README.md)';
+        const window = openReader(CHAPTER, { files: { [`../${CHAPTER}`]: markdown } });
+        t.after(() => window.close());
+        await settle();
+        const { document } = window;
+        const links = [...document.querySelectorAll('#reader-content p a')].map(link => link.getAttribute('href'));
+        assert.deepEqual(links, [
+            `reader.html?file=${encodeURIComponent('Part2-Hooks深入掌握/03-useEffect副作用管理.md')}#${encodeURIComponent('清理函数')}`,
+            `reader.html?file=${encodeURIComponent('README.md')}`
+        ]);
+        assert.equal(document.querySelector('#reader-content img').getAttribute('src'), `../../${encodeURIComponent('Part2-Hooks深入掌握')}/img/a.png`);
+    });
+
+    test('显示本章相关题目数量的"测一测"入口', async t => {
+        const window = openReader(CHAPTER);
+        t.after(() => window.close());
+        await settle();
+        const link = window.document.getElementById('chapter-quiz-link');
+        assert.match(link.textContent, /^🧪 测一测（\d+ 题）$/);
+        assert.equal(link.getAttribute('href'), `tags.html?chapter=${encodeURIComponent(CHAPTER)}`);
+    });
+
+    test('没有相关题目的章节不显示入口', async t => {
+        const window = openReader('Part0-前置基础/00-为什么学习React.md');
+        t.after(() => window.close());
+        await settle();
+        assert.equal(window.document.getElementById('chapter-quiz').innerHTML, '');
+    });
+
+    test('目录中没有的文件不会被读取', async t => {
+        const window = openReader('../package.json');
+        t.after(() => window.close());
+        await settle();
+        assert.match(window.document.getElementById('reader-content').textContent, /没有找到章节「..\/package.json」/);
+    });
+
+    test('章节文件缺失时提示', async t => {
+        const window = openReader(CHAPTER, { files: { [`../${CHAPTER}`]: null } });
+        t.after(() => window.close());
+        await settle();
+        assert.match(window.document.getElementById('reader-content').textContent, /章节加载失败：文件不存在或无法读取（HTTP 404）/);
+    });
+});
+
+describe('章节测验', () => {
+    test('练习与章节相关的题目，页头可以返回章节', async t => {
+        const window = loadPage('pages/tags.html', { query: `?chapter=${encodeURIComponent(CHAPTER)}` });
+        t.after(() => window.close());
+        await settle();
+        const { document } = window;
+        assert.equal(document.querySelector('.quiz-title').textContent, '🧪 章节测验 · Part 2 · useState基础与进阶');
+        assert.ok(Number(document.getElementById('total-count').textContent) > 0);
+        assert.ok(document.querySelector('.question-text'));
+        const back = [...document.querySelectorAll('.home-button')].find(link => link.textContent.includes('返回章节'));
+        assert.equal(back.getAttribute('href'), `reader.html?file=${encodeURIComponent(CHAPTER)}`);
+
+        // 每个章节的测验单独保存进度和答题记录
+        document.body.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'ArrowRight', bubbles: true }));
+        assert.ok(window.localStorage.getItem(`react19_quiz_session_chapter:${CHAPTER}`));
+    });
+});
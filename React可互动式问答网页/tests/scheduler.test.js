@@ -0,0 +1,147 @@
+// 复习调度：SM-2 评分、日期加减和每日复习队列，计算函数都显式传入 today，结果可以复现
+// 以及今日复习页面中途离开后继续进度
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const ReviewScheduler = require('../js/scheduler.js');
+const { loadPage, settle } = require('./helpers/page');
+const { single } = require('./helpers/fixtures');
+
+const CORRECT = ReviewScheduler.QUALITY_CORRECT;
+const WRONG = ReviewScheduler.QUALITY_WRONG;
+
+describe('ReviewScheduler.grade', () => {
+    test('连续答对时间隔依次为 1 天、6 天、再乘以难度系数', () => {
+        const first = ReviewScheduler.grade(null, CORRECT, '2026-03-01');
+        assert.deepEqual(first, { ease: 2.5, interval: 1, repetitions: 1, lapses: 0, due: '2026-03-02', lastReviewed: '2026-03-01' });
+
+        const second = ReviewScheduler.grade(first, CORRECT, '2026-03-02');
+        assert.equal(second.interval, 6);
+        assert.equal(second.due, '2026-03-08');
+
+        const third = ReviewScheduler.grade(second, CORRECT, '2026-03-08');
+        assert.equal(third.repetitions, 3);
+        assert.equal(third.interval, 15);
+        assert.equal(third.due, '2026-03-23');
+    });
+
+    test('答错时重新开始计数、降低难度系数并记一次遗忘', () => {
+        const card = { ease: 2.5, interval: 15, repetitions: 3, lapses: 1, due: '2026-03-23', lastReviewed: '2026-03-08' };
+        const graded = ReviewScheduler.grade(card, WRONG, '2026-03-23');
+        assert.deepEqual(graded, { ease: 1.96, interval: 1, repetitions: 0, lapses: 2, due: '2026-03-24', lastReviewed: '2026-03-23' });
+    });
+
+    test('难度系数不低于 MIN_EASE', () => {
+        let card = null;
+        for (let day = 1; day <= 9; day++) {
+            card = ReviewScheduler.grade(card, WRONG, `2026-03-0${day}`);
+        }
+        assert.equal(card.ease, ReviewScheduler.MIN_EASE);
+    });
+
+    test('同一天内再次答对不改变调度，返回新对象', () => {
+        const card = ReviewScheduler.grade(null, CORRECT, '2026-03-01');
+        const again = ReviewScheduler.grade(card, CORRECT, '2026-03-01');
+        assert.deepEqual(again, card);
+        assert.notEqual(again, card);
+    });
+
+    test('同一天内答错仍然生效', () => {
+        const card = ReviewScheduler.grade(null, CORRECT, '2026-03-01');
+        const graded = ReviewScheduler.grade(card, WRONG, '2026-03-01');
+        assert.equal(graded.repetitions, 0);
+        assert.equal(graded.lapses, 1);
+    });
+
+    test('不修改传入的 card', () => {
+        const card = ReviewScheduler.createCard();
+        const snapshot = { ...card };
+        ReviewScheduler.grade(card, CORRECT, '2026-03-01');
+        assert.deepEqual(card, snapshot);
+    });
+});
+
+describe('ReviewScheduler.addDays', () => {
+    test('跨月、跨年和闰年', () => {
+        assert.equal(ReviewScheduler.addDays('2026-01-31', 1), '2026-02-01');
+        assert.equal(ReviewScheduler.addDays('2026-02-28', 1), '2026-03-01');
+        assert.equal(ReviewScheduler.addDays('2024-02-28', 1), '2024-02-29');
+        assert.equal(ReviewScheduler.addDays('2026-12-31', 1), '2027-01-01');
+        assert.equal(ReviewScheduler.addDays('2026-03-01', -1), '2026-02-28');
+    });
+
+    test('跨夏令时切换不会差一天', () => {
+        // 美国 2026-03-08、欧洲 2026-03-29 进入夏令时，欧洲 2026-10-25 退出
+        assert.equal(ReviewScheduler.addDays('2026-03-07', 2), '2026-03-09');
+        assert.equal(ReviewScheduler.addDays('2026-03-28', 1), '2026-03-29');
+        assert.equal(ReviewScheduler.addDays('2026-03-28', 15), '2026-04-12');
+        assert.equal(ReviewScheduler.addDays('2026-10-24', 6), '2026-10-30');
+    });
+
+    test('toDateString 使用本地日期', () => {
+        assert.equal(ReviewScheduler.toDateString(new Date(2026, 0, 5, 23, 59)), '2026-01-05');
+    });
+});
+
+describe('ReviewScheduler.buildDailyQueue', () => {
+    const question = id => ({ id, question: `题目 ${id}` });
+    const banks = [
+        { stageId: 'part1', questions: [1, 2, 3, 4, 5].map(question) },
+        { stageId: 'part2', questions: [1, 2, 3].map(question) }
+    ];
+    const card = (due, ease) => ({ ease, interval: 1, repetitions: 1, lapses: 0, due, lastReviewed: null });
+    const keys = queue => queue.map(item => `${item.stageId}:${item.id}`);
+
+    test('到期的题目在前，按到期日期、再按难度系数从低到高排序', () => {
+        const schedule = {
+            'part1:1': card('2026-03-10', 2.5),
+            'part1:2': card('2026-03-08', 2.5),
+            'part2:1': card('2026-03-10', 1.8),
+            'part1:3': card('2026-03-11', 1.3)
+        };
+        const queue = ReviewScheduler.buildDailyQueue(banks, schedule, '2026-03-10', { newLimit: 0 });
+        assert.deepEqual(keys(queue), ['part1:2', 'part2:1', 'part1:1']);
+    });
+
+    test('新题从各阶段轮流补充，数量不超过 newLimit', () => {
+        const schedule = { 'part1:1': card('2026-03-01', 2.5) };
+        const queue = ReviewScheduler.buildDailyQueue(banks, schedule, '2026-03-10', { newLimit: 5 });
+        assert.deepEqual(keys(queue), ['part1:1', 'part1:2', 'part2:1', 'part1:3', 'part2:2', 'part1:4']);
+    });
+
+    test('新题不够时取完为止', () => {
+        const queue = ReviewScheduler.buildDailyQueue(banks, {}, '2026-03-10', { newLimit: 50 });
+        assert.equal(queue.length, 8);
+    });
+});
+
+describe('今日复习页面', () => {
+    // 只提供一个三道单选题的小题库，答案都是"选项二"
+    const files = {
+        'data/banks/part1.json': JSON.stringify({ formatVersion: 1, stageId: 'part1', sections: [], questions: [single(1), single(2), single(3)] }),
+        'data/banks/part2.json': null,
+        'data/banks/part3.json': null,
+        'data/banks/part4.json': null,
+        'data/banks/part14.json': null,
+        'data/banks/part19.json': null
+    };
+
+    test('答过的题目离开复习队列后，重新打开页面仍然可以继续进度', async t => {
+        const first = loadPage('pages/review.html', { files });
+        t.after(() => first.close());
+        await settle();
+        first.document.getElementById('start-review-button').click();
+        assert.equal(first.document.getElementById('total-count').textContent, '3');
+        first.document.querySelectorAll('#options-list .option-item')[1].click();
+        first.document.getElementById('next-button').click();
+
+        const storage = { ...first.localStorage };
+        const window = loadPage('pages/review.html', { files, storage });
+        t.after(() => window.close());
+        await settle();
+        const { document } = window;
+        assert.match(document.querySelector('.resume-text').textContent, /上次答到第 2 题，已答 1\/3 题/);
+        document.getElementById('resume-button').click();
+        assert.equal(document.querySelector('.question-number').textContent, '第 2 题');
+        assert.equal(document.getElementById('total-count').textContent, '3');
+    });
+});
@@ -0,0 +1,48 @@
+// 本地静态服务器：提供问答网页和教程文件，拒绝访问项目目录之外的路径
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { APP_PATH, createServer, resolveFile } = require('../scripts/serve.js');
+
+let server;
+let baseUrl;
+
+before(() => new Promise(resolve => {
+    server = createServer().listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+    });
+}));
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('返回题库 JSON 和首页', async () => {
+    const bank = await fetch(`${baseUrl}${APP_PATH}data/banks/part1.json`);
+    assert.equal(bank.status, 200);
+    assert.match(bank.headers.get('content-type'), /^application\/json/);
+    assert.equal((await bank.json()).stageId, 'part1');
+
+    const index = await fetch(`${baseUrl}/`);
+    assert.equal(index.url, `${baseUrl}${APP_PATH}`);
+    assert.match(index.headers.get('content-type'), /^text\/html/);
+});
+
+test('返回教程 markdown', async () => {
+    const response = await fetch(`${baseUrl}/${encodeURIComponent('Part1-React核心基础')}/${encodeURIComponent('01-React简介与特点.md')}`);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/markdown/);
+});
+
+test('不存在的文件返回 404', async () => {
+    const response = await fetch(`${baseUrl}${APP_PATH}data/banks/part99.json`);
+    assert.equal(response.status, 404);
+});
+
+test('拒绝越出项目目录的路径', () => {
+    const root = path.resolve('/srv/quiz');
+    // URL 解析会先规范化 %2e%2e，结果仍在根目录内
+    assert.equal(resolveFile(root, '/%2e%2e/secret.txt'), path.join(root, 'secret.txt'));
+    assert.equal(resolveFile(root, '/..%2fsecret.txt'), null);
+    assert.equal(resolveFile(root, '/%E0%A4%A'), null);
+    assert.equal(resolveFile(root, '/js/quiz.js'), path.join(root, 'js', 'quiz.js'));
+});
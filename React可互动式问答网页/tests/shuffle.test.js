@@ -0,0 +1,180 @@
+// 题目与选项乱序：同一种子可以复现，打乱选项后答案、错误解析和解析文本中的"选项X"同步重映射
+// 排序题的答案保持顺序，配对题左右两列分别打乱
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const QuizShuffle = require('../js/shuffle.js');
+
+const SEEDS = Array.from({ length: 20 }, (_, index) => index + 1);
+const letter = index => String.fromCharCode(65 + index);
+
+function single(id) {
+    return {
+        id,
+        type: 'single',
+        question: `单选题 ${id}`,
+        options: ['甲', '乙', '丙', '丁'],
+        answer: [1],
+        explanation: { correct: '选项B正确', wrong: { 0: '选项A不对', 2: '选项C不对' } },
+        tags: []
+    };
+}
+
+function multiple(id) {
+    return {
+        id,
+        type: 'multiple',
+        question: `多选题 ${id}`,
+        options: ['甲', '乙', '丙', '丁'],
+        answer: [0, 2],
+        explanation: { correct: '选项A、C正确，选项B和D错误，选项E不存在，选项API不是选项', wrong: { 1: '选项B与D都不对' } },
+        tags: []
+    };
+}
+
+function judge(id) {
+    return {
+        id,
+        type: 'judge',
+        question: `判断题 ${id}`,
+        options: ['正确', '错误'],
+        answer: [0],
+        explanation: { correct: '选项A正确' },
+        tags: []
+    };
+}
+
+function order(id) {
+    return {
+        id,
+        type: 'order',
+        question: `排序题 ${id}`,
+        options: ['渲染', '提交', '绘制', '清理', '执行'],
+        answer: [0, 1, 2, 3, 4],
+        explanation: { correct: '按渲染、提交、绘制、清理、执行的顺序', wrong: {} },
+        tags: []
+    };
+}
+
+function match(id) {
+    return {
+        id,
+        type: 'match',
+        question: `配对题 ${id}`,
+        options: ['useMemo', 'useCallback', 'useRef'],
+        targets: ['缓存函数', '可变容器', '缓存值'],
+        answer: [2, 0, 1],
+        explanation: { correct: '解析', wrong: { 0: 'useMemo 缓存值', 2: 'useRef 是可变容器' } },
+        tags: []
+    };
+}
+
+// 打乱后选项文字在新位置的序号
+function positionOf(shuffled, text) {
+    return shuffled.options.indexOf(text);
+}
+
+describe('QuizShuffle', () => {
+    test('同一种子得到同样的顺序，不修改原题目', () => {
+        const questions = [single(1), multiple(2), single(3), multiple(4)];
+        const snapshot = JSON.stringify(questions);
+        const config = { seed: 42, questions: true, options: true };
+        assert.deepEqual(QuizShuffle.apply(questions, config), QuizShuffle.apply(questions, config));
+        assert.equal(JSON.stringify(questions), snapshot);
+    });
+
+    test('不同的种子会打乱题目和选项', () => {
+        const questions = [1, 2, 3, 4, 5, 6].map(single);
+        const orders = new Set(SEEDS.map(seed => QuizShuffle.apply(questions, { seed, questions: true, options: true })
+            .map(q => `${q.id}:${q.options.join('')}`).join(',')));
+        assert.ok(orders.size > 1);
+    });
+
+    test('只打乱题目或只打乱选项', () => {
+        const questions = [1, 2, 3, 4, 5, 6].map(single);
+        const onlyQuestions = QuizShuffle.apply(questions, { seed: 7, questions: true, options: false });
+        assert.ok(onlyQuestions.every(q => q.options.join('') === '甲乙丙丁'));
+        const onlyOptions = QuizShuffle.apply(questions, { seed: 7, questions: false, options: true });
+        assert.deepEqual(onlyOptions.map(q => q.id), [1, 2, 3, 4, 5, 6]);
+    });
+
+    test('单选题的答案和错误解析的键跟随选项移动', () => {
+        SEEDS.forEach(seed => {
+            const [shuffled] = QuizShuffle.apply([single(1)], { seed, questions: false, options: true });
+            const b = positionOf(shuffled, '乙');
+            assert.deepEqual(shuffled.answer, [b]);
+            assert.equal(shuffled.explanation.correct, `选项${letter(b)}正确`);
+            assert.deepEqual({ ...shuffled.explanation.wrong }, {
+                [positionOf(shuffled, '甲')]: `选项${letter(positionOf(shuffled, '甲'))}不对`,
+                [positionOf(shuffled, '丙')]: `选项${letter(positionOf(shuffled, '丙'))}不对`
+            });
+        });
+    });
+
+    test('多选题的答案按新序号排序，连写的多个选项一起改写', () => {
+        SEEDS.forEach(seed => {
+            const [shuffled] = QuizShuffle.apply([multiple(1)], { seed, questions: false, options: true });
+            const [a, b, c, d] = ['甲', '乙', '丙', '丁'].map(text => positionOf(shuffled, text));
+            assert.deepEqual(shuffled.answer, [a, c].sort((x, y) => x - y));
+            assert.equal(
+                shuffled.explanation.correct,
+                `选项${letter(a)}、${letter(c)}正确，选项${letter(b)}和${letter(d)}错误，选项E不存在，选项API不是选项`
+            );
+            assert.deepEqual({ ...shuffled.explanation.wrong }, { [b]: `选项${letter(b)}与${letter(d)}都不对` });
+        });
+    });
+
+    test('排序题的答案保持正确顺序，只换成新的序号', () => {
+        SEEDS.forEach(seed => {
+            const [shuffled] = QuizShuffle.apply([order(1)], { seed, questions: false, options: true });
+            assert.deepEqual(shuffled.answer.map(index => shuffled.options[index]), order(1).options);
+        });
+    });
+
+    test('配对题左右两列分别打乱，答案和错误解析跟随左列移动', () => {
+        const original = match(1);
+        const pairs = original.options.map((left, index) => `${left}=${original.targets[original.answer[index]]}`);
+        SEEDS.forEach(seed => {
+            const [shuffled] = QuizShuffle.apply([match(1)], { seed, questions: false, options: true });
+            assert.deepEqual(shuffled.options.map((left, index) => `${left}=${shuffled.targets[shuffled.answer[index]]}`).sort(), [...pairs].sort());
+            assert.deepEqual([...shuffled.targets].sort(), [...original.targets].sort());
+            assert.deepEqual({ ...shuffled.explanation.wrong }, {
+                [positionOf(shuffled, 'useMemo')]: 'useMemo 缓存值',
+                [positionOf(shuffled, 'useRef')]: 'useRef 是可变容器'
+            });
+        });
+        const orders = new Set(SEEDS.map(seed => QuizShuffle.apply([match(1)], { seed, questions: false, options: true })[0].targets.join()));
+        assert.ok(orders.size > 1);
+    });
+
+    test('没有选项的输出预测题保持不变', () => {
+        const predict = { id: 1, type: 'predict', question: '输出是什么？', code: 'console.log(1)', answer: ['1'], explanation: { correct: '输出 1' }, tags: [] };
+        assert.deepEqual(QuizShuffle.apply([predict], { seed: 3, questions: false, options: true }), [predict]);
+    });
+
+    test('作答和答案可以换回题库中的序号', () => {
+        SEEDS.forEach(seed => {
+            [single(1), multiple(2), order(3), match(4)].forEach(question => {
+                const [shuffled] = QuizShuffle.apply([question], { seed, questions: false, options: true });
+                assert.deepEqual(QuizShuffle.restoreSelection(shuffled, shuffled.answer), question.answer);
+            });
+            const [shuffled] = QuizShuffle.apply([multiple(1)], { seed, questions: false, options: true });
+            const picked = [positionOf(shuffled, '丁'), positionOf(shuffled, '乙')];
+            assert.deepEqual(QuizShuffle.restoreSelection(shuffled, picked), [1, 3]);
+        });
+        const [unmatched] = QuizShuffle.apply([match(1)], { seed: 1, questions: false, options: true });
+        assert.deepEqual(QuizShuffle.restoreSelection(unmatched, [null, null, null]), [null, null, null]);
+    });
+
+    test('没有打乱选项的题目和输入类作答原样返回', () => {
+        assert.deepEqual(QuizShuffle.restoreSelection(judge(1), [1]), [1]);
+        assert.deepEqual(QuizShuffle.restoreSelection(single(1), [2]), [2]);
+        assert.deepEqual(QuizShuffle.restoreSelection({ type: 'fill' }, ['useState']), ['useState']);
+    });
+
+    test('判断题保持"正确/错误"的顺序', () => {
+        SEEDS.forEach(seed => {
+            const [shuffled] = QuizShuffle.apply([judge(1)], { seed, questions: false, options: true });
+            assert.deepEqual(shuffled, judge(1));
+        });
+    });
+});
@@ -0,0 +1,62 @@
+// 阶段注册表：首页卡片、题目数量和答题页的上一/下一阶段导航都由注册表生成
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const StageRegistry = require('../js/stages.js');
+const { loadPage, settle } = require('./helpers/page');
+
+describe('StageRegistry', () => {
+    test('按 order 排列，面试突破沿用 part19 的 id', () => {
+        assert.deepEqual(StageRegistry.getIds(), ['part1', 'part2', 'part3', 'part4', 'part14', 'part19']);
+        assert.equal(StageRegistry.getLabel(StageRegistry.get('part19')), 'Part 17: 面试突破');
+    });
+
+    test('相邻阶段', () => {
+        const { previous, next } = StageRegistry.getNeighbors('part4');
+        assert.equal(previous.id, 'part3');
+        assert.equal(next.id, 'part14');
+        assert.equal(StageRegistry.getNeighbors('part1').previous, null);
+        assert.equal(StageRegistry.getNeighbors('part19').next, null);
+        assert.deepEqual(StageRegistry.getNeighbors('part99'), { previous: null, next: null });
+    });
+});
+
+describe('首页', () => {
+    test('按注册表生成卡片，题目数量来自题库', async t => {
+        const window = loadPage('index.html');
+        t.after(() => window.close());
+        const cards = [...window.document.querySelectorAll('.stage-card')];
+        assert.deepEqual(cards.map(card => card.dataset.stage), StageRegistry.getIds());
+        assert.equal(cards[5].querySelector('.stage-number').textContent, 'Part 17');
+        assert.equal(cards[5].getAttribute('href'), 'pages/quiz.html?stage=part19');
+
+        await settle();
+        assert.equal(cards[1].querySelector('.question-count').textContent, '📝 59 道题目');
+    });
+
+    test('题库加载失败的阶段在卡片上提示', async t => {
+        const window = loadPage('index.html', { files: { 'data/banks/part2.json': null } });
+        t.after(() => window.close());
+        await settle();
+        const card = window.document.querySelector('.stage-card[data-stage="part2"]');
+        assert.equal(card.querySelector('.question-count').textContent, '⚠️ 题库加载失败');
+    });
+});
+
+describe('答题页导航', () => {
+    test('显示上一阶段和下一阶段', async t => {
+        const window = loadPage('pages/quiz.html', { query: '?stage=part14' });
+        t.after(() => window.close());
+        await settle();
+        const links = [...window.document.querySelectorAll('#stage-nav a')];
+        assert.deepEqual(links.map(link => link.getAttribute('href')), ['?stage=part4', '?stage=part19']);
+        assert.equal(links[1].textContent, 'Part 17: 面试突破 →');
+    });
+
+    test('第一个阶段没有上一阶段', async t => {
+        const window = loadPage('pages/quiz.html', { query: '?stage=part1' });
+        t.after(() => window.close());
+        await settle();
+        const links = [...window.document.querySelectorAll('#stage-nav a')];
+        assert.deepEqual(links.map(link => link.getAttribute('href')), ['?stage=part2']);
+    });
+});
@@ -0,0 +1,182 @@
+// 题库校验脚本本身：每类错误都能被发现并定位到题目 id
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateBank, validateFile, validateRegistry, validateChapterIndex } = require('../scripts/validate-banks.js');
+const { single, judge, multiple } = require('./helpers/fixtures');
+
+function sectionsFor(questions) {
+    return [{ title: '全部', from: 1, to: questions.length }];
+}
+
+function validate(questions) {
+    return validateBank(questions, sectionsFor(questions));
+}
+
+function messagesFor(problems, id) {
+    return problems.filter(problem => problem.id === id).map(problem => problem.message);
+}
+
+describe('validateBank', () => {
+    test('合法的题库没有问题', () => {
+        assert.deepEqual(validate([single(1), judge(2), multiple(3)]), []);
+    });
+
+    test('重复的 id', () => {
+        const problems = validate([single(1), single(1)]);
+        assert.deepEqual(messagesFor(problems, 1), ['id 重复']);
+    });
+
+    test('answer 超出选项范围', () => {
+        const problems = validate([single(1, 4)]);
+        assert.match(messagesFor(problems, 1)[0], /answer 中的 4 超出选项范围/);
+    });
+
+    test('判断题和单选题有多个答案', () => {
+        const problems = validate([{ ...judge(1), answer: [0, 1] }, { ...single(2), answer: [0, 1] }]);
+        assert.deepEqual(messagesFor(problems, 1), ['判断题有 2 个答案']);
+        assert.deepEqual(messagesFor(problems, 2), ['单选题有 2 个答案']);
+    });
+
+    test('explanation.wrong 指向正确选项或不存在的选项', () => {
+        const question = single(1, 1);
+        question.explanation.wrong = { 1: '正确选项', 7: '不存在' };
+        assert.deepEqual(messagesFor(validate([question]), 1), [
+            'explanation.wrong 的键 1 指向正确选项',
+            'explanation.wrong 的键 7 没有对应的选项'
+        ]);
+    });
+
+    test('未知的计分方式，包括原型上的属性名', () => {
+        assert.deepEqual(messagesFor(validate([{ ...multiple(1), scoring: 'constructor' }]), 1), ['未知的计分方式 "constructor"']);
+        assert.deepEqual(messagesFor(validate([{ ...multiple(1), scoring: 'penalty' }]), 1), []);
+    });
+
+    test('空的 tags', () => {
+        assert.deepEqual(messagesFor(validate([{ ...single(1), tags: [] }]), 1), ['tags 为空']);
+        assert.deepEqual(messagesFor(validate([{ ...single(1), tags: [' '] }]), 1), ['tags 中有空字符串']);
+    });
+
+    test('填空题答案数量与空的数量不一致', () => {
+        const question = { ...single(1), type: 'fill', question: '____ 和 ____', answer: [['a']] };
+        delete question.options;
+        assert.deepEqual(messagesFor(validate([question]), 1), ['题干有 2 个空，answer 却有 1 项']);
+    });
+
+    test('填空题的答案项必须是字符串或正则对象', () => {
+        const question = { ...single(1), type: 'fill', question: '____ 和 ____ 和 ____', answer: [['a', null], [{ pattern: 'b+' }, 3], 'c'] };
+        delete question.options;
+        assert.deepEqual(messagesFor(validate([question]), 1), [
+            '第 1 个空的答案必须是字符串或 { pattern, flags } 对象',
+            '第 2 个空的答案必须是字符串或 { pattern, flags } 对象',
+            '第 3 个空没有可接受的答案'
+        ]);
+    });
+
+    test('题目和章节不是对象时报告问题而不是中断校验', () => {
+        const questions = [single(1), null, 'single', [], { ...single(5), answer: 0, explanation: { correct: '解析', wrong: { 0: '错' } } }];
+        const problems = validateBank(questions, [{ title: '全部', from: 1, to: 5 }, null]);
+        assert.deepEqual(messagesFor(problems, null), [
+            '第 2 道题必须是对象',
+            '第 3 道题必须是对象',
+            '第 4 道题必须是对象',
+            '第 2 个章节必须是对象'
+        ]);
+        assert.deepEqual(messagesFor(problems, 5), ['answer 必须是非空数组']);
+    });
+
+    test('排序题和配对题的答案必须是排列', () => {
+        const order = { ...single(1), type: 'order', answer: [0, 1, 1, 3] };
+        const match = { ...single(2), type: 'match', options: ['a', 'b'], targets: ['x', 'y'], answer: [1, 1] };
+        const problems = validate([order, match]);
+        assert.deepEqual(messagesFor(problems, 1), ['排序题 answer 必须包含每个选项各一次']);
+        assert.deepEqual(messagesFor(problems, 2), ['配对题 answer 必须让每个右列条目恰好配对一次']);
+    });
+
+    test('refs 引用的章节必须存在', () => {
+        const problems = validate([
+            { ...single(1), refs: ['Part2-Hooks深入掌握/02-useState基础与进阶.md#惰性初始化'] },
+            { ...single(2), refs: ['Part2-Hooks深入掌握/99-不存在.md', '../package.json'] },
+            { ...single(3), refs: 'Part2-Hooks深入掌握/02-useState基础与进阶.md' }
+        ]);
+        assert.deepEqual(messagesFor(problems, 1), []);
+        assert.deepEqual(messagesFor(problems, 2), [
+            'refs 中的章节 Part2-Hooks深入掌握/99-不存在.md 不存在',
+            'refs 中的章节 ../package.json 不存在'
+        ]);
+        assert.deepEqual(messagesFor(problems, 3), ['refs 必须是章节路径组成的数组']);
+    });
+
+    test('章节划分不完整', () => {
+        const problems = validateBank([single(1), single(2)], [{ title: '一', from: 1, to: 1 }]);
+        assert.deepEqual(messagesFor(problems, null), ['章节划分覆盖到第 1 题，题库共有 2 题']);
+    });
+});
+
+describe('validateFile', () => {
+    function writeBank(t, name, content) {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'banks-'));
+        t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+        return file;
+    }
+
+    function bank(overrides = {}) {
+        const questions = [single(1)];
+        return { formatVersion: 1, stageId: 'part1', sections: sectionsFor(questions), questions, ...overrides };
+    }
+
+    test('合法的题库文件没有问题', t => {
+        assert.deepEqual(validateFile(writeBank(t, 'part1.json', bank())), []);
+    });
+
+    test('损坏的 JSON', t => {
+        const [problem] = validateFile(writeBank(t, 'part1.json', '{"questions": ['));
+        assert.match(problem.message, /^无法加载：不是有效的 JSON/);
+    });
+
+    test('格式版本和 stageId', t => {
+        const file = writeBank(t, 'part2.json', bank({ formatVersion: 2 }));
+        assert.deepEqual(validateFile(file).map(problem => problem.message), [
+            'formatVersion 应为 1，实际为 2',
+            'stageId "part1" 与注册表中的阶段 part2 不一致'
+        ]);
+    });
+
+    test('没有登记的题库文件', t => {
+        const file = writeBank(t, 'part99.json', bank({ stageId: 'part99' }));
+        assert.deepEqual(validateFile(file).map(problem => problem.message), ['没有在 js/stages.js 中登记']);
+    });
+});
+
+describe('validateRegistry', () => {
+    test('当前注册表没有问题', () => {
+        assert.deepEqual(validateRegistry(), []);
+    });
+
+    test('重复的 id、order 和不存在的文件', () => {
+        const stage = { id: 'part1', order: 1, bank: 'part1.json', folder: 'Part1-React核心基础' };
+        const missing = { id: 'part1', order: 1, bank: 'missing.json', folder: 'Part0-不存在' };
+        assert.deepEqual(validateRegistry([stage, missing]), [
+            'part1: id 重复',
+            'part1: order 1 重复',
+            'part1: 题库文件 data/banks/missing.json 不存在',
+            'part1: 教程目录 Part0-不存在 不存在'
+        ]);
+    });
+});
+
+describe('validateChapterIndex', () => {
+    test('当前标签映射没有问题', () => {
+        assert.deepEqual(validateChapterIndex(), []);
+    });
+
+    test('引用不存在的章节', () => {
+        assert.deepEqual(validateChapterIndex({ useState: ['Part2-Hooks深入掌握/99-不存在.md'] }), [
+            '标签「useState」引用的章节 Part2-Hooks深入掌握/99-不存在.md 不存在'
+        ]);
+    });
+});